@@ -0,0 +1,19 @@
+/**
+ * Settings of this build of the app. index.html reads them on load.
+ *
+ *     oauth_client_id     id of the app registered in put.io, for the oauth
+ *                         login with the v2 api. The "Login with put.io"
+ *                         button is hidden while it is empty. It can also
+ *                         be given in the page url: index.html?client_id=ID
+ *     oauth_redirect_uri  where put.io sends the user back after the login.
+ *                         The app catches this url (see the intent filter
+ *                         in AndroidManifest.xml and PutioActivity), and
+ *                         it must match the redirect uri registered in
+ *                         put.io. When the page is served over http, for
+ *                         instance by mock/server.js, the page itself is
+ *                         used.
+ */
+var putio_config = {
+    oauth_client_id : '',
+    oauth_redirect_uri : 'putio-app://oauth'
+};
@@ -19,8 +19,9 @@
  * This library implements the API calls for the service put.io (http://put.io)
  * For more information on the API, see https://put.io/service/api
  * 
- * Requirements: jQuery 1.4.2 (version tested), only for the method callServerMethod.
- * I expect to relax this dependency on future versions.
+ * Requirements: none. Requests are sent by a transport (see transports below),
+ * by default with jQuery 1.5 or later (1.6.2 tested) if present, else with 
+ * XMLHttpRequest, or with the http module when running on Node.js.
  * 
  * Quick start.
  * 
@@ -30,11 +31,51 @@
  *  - api_secret: The user api secret
  *  - error_func: A callback function(error), that will be called if an error
  *      occurs in the call of a API.
+ *  - options: An optional object with settings for the instance, see Api below:
+ *      backend, oauth_token, url, https, timeout, retries, page_size, 
+ *      client_id, transport, cache...
+ *
+ * The v2 api is used with an OAuth2 token instead of the key and secret, see
+ * backends and oauth:
+ *
+ * var api = putio(null, null, null, { oauth_token : TOKEN });
+ * 
+ * Every instance keeps its own settings, so several instances with different
+ * options can be used on the same page:
+ *
+ * var local = putio(API_KEY, API_SECRET, null, { url : 'http://localhost:8080/v1' });
+ * var remote = putio(API_KEY, API_SECRET, null, { https : true, timeout : 20000 });
  * 
  * Every asynchronous API method receives as first parameter a callback to process
  * the results of the method. The value passed to the callback depends on the type
  * of function, for instance. getItems() passes a list of items to the callback,
  * and getMessages passes a list of messages.
+ *
+ * Every asynchronous method also returns a promise, that resolves with the same
+ * value passed to the callback, or is rejected with a PutioError if the call
+ * fails. The callback is optional, so calls can be chained:
+ *
+ * api.getItems().then(function(items) {
+ *      return items[0].renameItem(null, 'new name');
+ * }).then(function(item) {
+ *      alert(item.name);
+ * }, function(error) {
+ *      alert(error.msg);
+ * });
+ *
+ * The objects passed to the callbacks are instances of the models of the 
+ * library (putio.Item, putio.Folder, putio.Transfer, putio.Subscription, 
+ * putio.Message, putio.User, putio.Friend and putio.Url). Their attributes 
+ * are checked when the response arrives, sizes and quotas are converted to 
+ * numbers, and a response that does not match rejects the call with a 
+ * PutioError of kind 'schema':
+ *
+ * api.getItems(function(items) {
+ *      alert(items[0] instanceof putio.Item);
+ * });
+ *
+ * Models can be stored with JSON.stringify(), and rebuilt with 
+ * putio.fromJSON(api, json).
  * 
  * Quick example.
  *     
@@ -49,6 +90,7 @@
  */
 var putio = (function() {
     var RPC_URL = "http://api.put.io/v1"; // put.io api url
+    var RPC_V2_URL = "https://api.put.io/v2"; // put.io api v2 url, see backends
     var VERSION = '0.2.1'; // Library version
     
     // File type codes
@@ -65,14 +107,83 @@ var putio = (function() {
         'swf'        : 9
     };
 
-    /**
-     * Check if jQuery exists before continuing
-     */
-    if (typeof jQuery.get !== 'function') {
-        alert('The put.io library requires that the jQuery library is present');
-        return undefined;
-    }
-    
+    // Default time to wait for a response from the server, in milliseconds
+    var DEFAULT_TIMEOUT = 10000;
+
+    // Default retry policy for idempotent methods. The delay between attempts
+    // doubles on every retry, up to max_delay (in milliseconds)
+    var DEFAULT_RETRY = {
+        retries   : 2,
+        delay     : 500,
+        max_delay : 8000
+    };
+
+    // Number of items requested per page when walking a listing
+    var DEFAULT_PAGE_SIZE = 100;
+
+    // Number of requests a bulk operation sends at the same time
+    var DEFAULT_BULK_CONCURRENCY = 4;
+
+    // Time between two listings of a watched folder, in milliseconds. See
+    // api.watchFolder()
+    var DEFAULT_WATCH_INTERVAL = 30000;
+
+    // Time between two checks of an mp4 conversion, in milliseconds. See
+    // item.waitForMp4()
+    var DEFAULT_MP4_POLL_INTERVAL = 5000;
+
+    // Number of largest files reported by summarizeFolder()
+    var DEFAULT_LARGEST_FILES = 10;
+
+    // Orders of sortItems(), and the orderby param of /files list that sorts
+    // the same way. The server cannot sort by size, nor by name in natural 
+    // order ("Episode 2" before "Episode 10")
+    var ITEM_ORDERS = {
+        'name' : null,
+        'size' : null,
+        'date' : 'createdat',
+        'type' : 'type'
+    };
+
+    // Attributes compared to tell if an item changed, see diffItems()
+    var DIFF_FIELDS = ['name', 'size', 'type'];
+
+    // Calls kept in the journal when they cannot reach the server, see Journal
+    var JOURNAL_METHODS = {
+        '/files rename' : true,
+        '/files move' : true,
+        '/files delete' : true,
+        '/files create_dir' : true,
+        '/transfers add' : true
+    };
+
+    // Time an access token is considered valid, in milliseconds
+    var DEFAULT_TOKEN_TTL = 10 * 60 * 1000;
+
+    // Time responses are kept by the response cache, in milliseconds, for
+    // every method that can be cached. See ResponseCache
+    var DEFAULT_CACHE_TTL = {
+        '/files list'         : 30000,
+        '/files info'         : 30000,
+        '/files search'       : 30000,
+        '/files dirmap'       : 60000,
+        '/transfers list'     : 5000,
+        '/user info'          : 60000,
+        '/user friends'       : 300000,
+        '/messages list'      : 30000,
+        '/subscriptions list' : 60000,
+        '/subscriptions info' : 60000
+    };
+
+    // Methods that can be safely repeated if the request fails
+    var IDEMPOTENT_METHODS = {
+        '/files'         : ['list', 'info', 'search', 'dirmap', 'mp4'],
+        '/transfers'     : ['list'],
+        '/user'          : ['info', 'friends', 'acctoken'],
+        '/messages'      : ['list'],
+        '/subscriptions' : ['list', 'info']
+    };
+
     /**
      * @param str string for which to remove the whitespace
      * @return string with removed whitespace from the beginning and end
@@ -103,1281 +214,5596 @@ var putio = (function() {
     }
     
     /**
-     * @return base object to extend by other objects
+     * @param path api path of the request, for instance '/files'
+     * @param method api method of the request, for instance 'list'
+     * @return true if the method can be retried without side effects
      */
-    function BaseObj(args) {
-        args = args || {};
-        
-        return args;
+    function isIdempotent(path, method) {
+        var methods = IDEMPOTENT_METHODS[path] || [];
+        for (var k = 0; k < methods.length; k++) {
+            if (methods[k] === method) {
+                return true;
+            }
+        }
+        return false;
     }
-    
+
     /**
-     * @return base object for all objects generated from the Api
+     * @param retry retry policy, as DEFAULT_RETRY
+     * @param attempt number of the failed attempt, starting at 1
+     * @return the time to wait before the next attempt, in milliseconds
      */
-    function BaseApiObj(api, args) {
-        var that = BaseObj(args);
-        
-        that.getApi = function() {
-            return api;
-        };
-        
-        return that;
+    function backoffDelay(retry, attempt) {
+        var delay = retry.delay * Math.pow(2, attempt - 1);
+        return Math.min(delay, retry.max_delay);
     }
-    
+
     /**
-     * Sample user:
-     *
-     * u.name                  : 'aft'
-     * u.friends_count         : 497 
-     * u.bw_avail_last_month   : '0'
-     * u.bw_quota              : '161061273600' 
-     * u.shared_items          : 3
-     * u.bw_quota_available    : '35157040261' 
-     * u.disk_quota            : '206115891200' 
-     * u.disk_quota_available  : '158153510402' 
-     * u.shared_space          : 0
+     * @return true if every attribute of expected has the same value in 
+     *      actual. Values are compared as strings, as ids are sometimes
+     *      numbers and sometimes strings.
      */
-    function User(api, args) {
-        return BaseApiObj(api, args);
+    function paramsMatch(expected, actual) {
+        var key;
+        actual = actual || {};
+        for (key in expected) {
+            if (expected.hasOwnProperty(key) && String(expected[key]) !== String(actual[key])) {
+                return false;
+            }
+        }
+        return true;
     }
-    
+
     /**
-     * Sample friend
+     * Minimal promise implementation, used only when the environment does
+     * not provide a native Promise (older Android WebViews, for instance).
+     * It implements then() and catch(), which is everything the library and
+     * its callers need to chain API calls.
      *
-     * f.dir_id    : '1407'
-     * f.id        : '2'
-     * f.name      : 'hasan'
+     * @param executor function(resolve, reject) as with native promises
+     * @return a thenable object
      */
-    function Friend(api, args) {
-        var that = BaseApiObj(api, args);
+    function SimplePromise(executor) {
+        var state = 'pending';
+        var value;
+        var locked = false;
+        var queue = [];
 
-        /**
-         * Lists a friends shared items
-         * 
-         * @callback function([item Array]) to call if the request succeeds
-         */
-        that.getItems = function(callback, limit, offset, args) {
-            this.getApi().getItems(callback, this.dir_id, limit, offset, args);
-        };
-        return that;
-    }
-    
-    
-    /**
-     * Dashboard message objects.
-     *  
-     * Message Methods:
-     * 
-     * message.remove()
-     *  
-     * Message Attributes:
-     *  
-     * message.id (Integer) 
-     * message.user_id (Integer) 
-     * message.title (String)
-     * message.description (None) 
-     * message.importance (Integer)
-     * message.file_name (String) 
-     * message.file_type (String)
-     * message.user_file_id (Integer) 
-     * message.from_user_id (Integer.  If false, message is from Put.io) 
-     * message.channel (Integer) 
-     * message.hidden (Integer, 1 or 0)
-     *  
-     * Sample:
-     *  
-     * user_file_id = 4 
-     * user_id = 17 
-     * description = None 
-     * title = '<a rel="userfile" "href="/file/4">abcd.mp4 </a> 
-     *     <span class="dash-gray">(89.86K) downloaded</span>' 
-     * importance = 0 
-     * file_name = 'abcd.mp4'
-     * id = 3773 
-     * file_type = 'audio' 
-     * hidden = 0 
-     * from_user_id = None
-     * channel = 2
-     */
-    function Message(api, args) {
-        var that = BaseApiObj(api, args);
-        /**
-         * Deletes messages. 
-         *
-         * @param callback function(boolean) that will be if the request succeeds
-         */
-        that.remove = function(callback) {
-            var params = {'id' : this.id };
+        var that = {};
 
-            this.getApi().callServerMethod('/messages', 'delete', 
-                function(results) {
-                    if (callback) {
-                        callback(true);
+        function flush() {
+            if (state === 'pending' || queue.length === 0) {
+                return;
+            }
+
+            var pending = queue;
+            queue = [];
+
+            setTimeout(function() {
+                for (var k = 0; k < pending.length; k++) {
+                    pending[k]();
+                }
+            }, 0);
+        }
+
+        function settle(new_state, new_value) {
+            if (state !== 'pending') {
+                return;
+            }
+
+            state = new_state;
+            value = new_value;
+            flush();
+        }
+
+        function adopt(x) {
+            if (x === that) {
+                settle('rejected', new TypeError('A promise cannot resolve to itself'));
+                return;
+            }
+
+            if (x && (typeof x === 'object' || typeof x === 'function')) {
+                var then, called = false;
+                try {
+                    then = x.then;
+                } catch (e) {
+                    settle('rejected', e);
+                    return;
+                }
+
+                if (typeof then === 'function') {
+                    try {
+                        then.call(x, function(y) {
+                            if (!called) {
+                                called = true;
+                                adopt(y);
+                            }
+                        }, function(r) {
+                            if (!called) {
+                                called = true;
+                                settle('rejected', r);
+                            }
+                        });
+                    } catch (e) {
+                        if (!called) {
+                            called = true;
+                            settle('rejected', e);
+                        }
+                    }
+                    return;
+                }
+            }
+
+            settle('fulfilled', x);
+        }
+
+        function resolve(x) {
+            if (!locked) {
+                locked = true;
+                adopt(x);
+            }
+        }
+
+        function reject(reason) {
+            if (!locked) {
+                locked = true;
+                settle('rejected', reason);
+            }
+        }
+
+        that.then = function(on_fulfilled, on_rejected) {
+            return SimplePromise(function(resolve, reject) {
+                queue[queue.length] = function() {
+                    var handler = state === 'fulfilled' ? on_fulfilled : on_rejected;
+                    if (typeof handler !== 'function') {
+                        if (state === 'fulfilled') {
+                            resolve(value);
+                        } else {
+                            reject(value);
+                        }
+                        return;
+                    }
+
+                    try {
+                        resolve(handler(value));
+                    } catch (e) {
+                        reject(e);
                     }
-                }, params);
+                };
+                flush();
+            });
         };
-        
+
+        that['catch'] = function(on_rejected) {
+            return this.then(null, on_rejected);
+        };
+
+        try {
+            executor(resolve, reject);
+        } catch (e) {
+            reject(e);
+        }
+
         return that;
     }
-    
+
     /**
-     * For us, Url is a downloadable file link. These files can be any type.
-     * Sources can be ftp, http, etc.
-     *  
-     * Url Attributes:
-     *       
-     *      instance.dl_handler  = 'Single Url'
-     *      instance.name        = 'name_of_the_file.mp4'
-     *      instance.file_type   = 'file'
-     *      instance.error       = None
-     *      instance.url         = 'ftp://a.b.c/name_of_the_file.mp4'
-     *      instance.paid_bw     = 0
-     *      instance.file_size   = '92014'
-     *      instance.type_name   = 'file'
-     *      instance.dltype      = 3
-     *      instance.human_size  = '89.86K'
+     * Creates a new promise, native if available.
+     *
+     * @param executor function(resolve, reject)
+     * @return a promise
      */
-    function Url(api, args) {
-        var that = BaseApiObj(api, args);
-        
-        that.toString = function() {
-            return this.url;
-        };
-        
-        return that;
+    function newPromise(executor) {
+        if (typeof Promise === 'function') {
+            return new Promise(executor);
+        }
+        return SimplePromise(executor);
     }
 
     /**
-     * Torrent objects are fetched via our Torrent clients. It can contain
-     * single, multi part archive files, or any other file type. Send the
-     * torrent URL, we figure out the rest.
-     * 
-     * Torrent Attributes:
-     *     
-     *     instance.dl_handler  = 'Torrent'
-     *     instance.name        = 'ABCDE.avi'
-     *     instance.file_type   = 'file'
-     *     instance.file_size   = 244091464
-     *     instance.url         = 'http://a.b/c.torrent'
-     *     instance.paid_bw     = 0
-     *     instance.error       = None
-     *     instance.type_name   = 'file'
-     *     instance.dltype      = 2
-     *     instance.human_size  = '232.78M'
+     * @return a promise already resolved with the given value
      */
-    function Torrent(api, args) {
-        return BaseApiObj(api, args);
+    function resolved(value) {
+        return newPromise(function(resolve) {
+            resolve(value);
+        });
     }
 
-
     /**
-     * Multipart objects are files, which contains patterns like "part1",
-     * "001", etc. These files are automatically extracted and saved to your
-     * space.
-     * 
-     * Multipart Attributes:
-     *     
-     *  instance.name       = 'ABCDE'
-     *  instance.size       = 366500388
-     *  instance.human_size = 350.0M
-     *  instance.paid_bw    = 366500388
-     *  instance.parts      = 
-     *  [
-     *       {
-     *         "url":"http:\/\/rapidshare.com\/files\/1\/M.part3.rar",
-     *         "size":"47711664",
-     *         "paid_bw":"47711664",
-     *         "source":"rapidshare.com",
-     *         "name":"Mdb35.part3.rar",
-     *         "human_size":"45.5M",
-     *         "type":"file",
-     *         "needs_pass":0,
-     *         "error": false
-     *      },
-     *      {
-     *         "url":"http:\/\/rapidshare.com\/files\/2\/M.part1.rar",
-     *         "size":"55000000",
-     *         "paid_bw":"55000000",
-     *         "source":"rapidshare.com",
-     *         "name":"Mdb35.part1.rar",
-     *         "human_size":"52.5M",
-     *         "type":"file",
-     *         "needs_pass":0,
-     *         "error":null
-     *      }
+     * Marks the rejection of the given promise as handled, so callers that
+     * only use callbacks do not get unhandled rejection warnings. Promises
+     * derived from it with then() are not affected.
      *
-     *  ]
-     *  instance.error      = false
+     * @return the same promise
      */
-    function Multipart(api, args) {
-        return BaseApiObj(api, args);
+    function handled(promise) {
+        promise.then(null, function() {});
+        return promise;
     }
-    
+
+    /**
+     * @return a promise already rejected with the given reason
+     */
+    function rejected(reason) {
+        return handled(newPromise(function(resolve, reject) {
+            reject(reason);
+        }));
+    }
+
+    /**
+     * Calls a user provided callback with the given value. Exceptions thrown
+     * by the callback are re-thrown outside of the promise chain, so they
+     * are not silently turned into rejections.
+     *
+     * @param callback function(value) (optional)
+     * @param value value to pass to the callback
+     */
+    function invoke(callback, value) {
+        if (typeof callback !== 'function') {
+            return;
+        }
+
+        try {
+            callback(value);
+        } catch (e) {
+            setTimeout(function() {
+                throw e;
+            }, 0);
+        }
+    }
+
+    /**
+     * Adds the methods on(), once(), off() and emit() to an object, so
+     * listeners can subscribe to its events. Listeners get a single event 
+     * object; exceptions they throw are re-thrown outside of the emitter, as
+     * invoke() does.
+     *
+     * @param that the object to extend
+     * @return the same object
+     */
+    function Emitter(that) {
+        var listeners = {};
+
+        /**
+         * @param name name of the event, for instance 'request:start'
+         * @param listener function(event)
+         * @return the object, to chain calls
+         */
+        that.on = function(name, listener) {
+            listeners[name] = listeners[name] || [];
+            listeners[name][listeners[name].length] = listener;
+            return this;
+        };
+
+        /**
+         * Same as on(), but the listener is removed after the first event.
+         */
+        that.once = function(name, listener) {
+            var self = this;
+            var wrapper = function(event) {
+                self.off(name, wrapper);
+                listener(event);
+            };
+            wrapper.listener = listener;
+            return this.on(name, wrapper);
+        };
+
+        /**
+         * @param name name of the event
+         * @param listener listener to remove (optional, defaults to all the
+         *      listeners of the event)
+         * @return the object, to chain calls
+         */
+        that.off = function(name, listener) {
+            var list = listeners[name] || [];
+            if (!listener) {
+                delete listeners[name];
+                return this;
+            }
+
+            for (var k = 0; k < list.length; k++) {
+                if (list[k] === listener || list[k].listener === listener) {
+                    list.splice(k, 1);
+                    break;
+                }
+            }
+            return this;
+        };
+
+        /**
+         * @param name name of the event
+         * @param event object passed to the listeners
+         * @return true if the event had listeners
+         */
+        that.emit = function(name, event) {
+            var list = (listeners[name] || []).slice(0);
+            for (var k = 0; k < list.length; k++) {
+                invoke(list[k], event);
+            }
+            return list.length > 0;
+        };
+
+        return that;
+    }
+
+    /**
+     * @param results list of results returned by the server
+     * @return the first element of the list
+     * @throws a string message if the list is empty
+     */
+    function first(results) {
+        if (!results || results.length === 0) {
+            throw "The server returned an empty result list";
+        }
+        return results[0];
+    }
+
+    /**
+     * Gives a promise an abort() method, see api.callServerMethod()
+     *
+     * @param promise the promise to return to the caller
+     * @param abort function that cancels the work behind the promise
+     * @return the same promise
+     */
+    function abortable(promise, abort) {
+        promise.abort = abort;
+        return promise;
+    }
+
+    /**
+     * Calls abort when the AbortSignal-style signal is aborted, or right away
+     * if it already was. The signal needs an aborted attribute and an
+     * addEventListener('abort', listener) method, as AbortController.signal.
+     *
+     * @param signal the signal (optional)
+     * @param abort function to call
+     * @return a function that stops listening to the signal
+     */
+    function onAbort(signal, abort) {
+        if (!signal) {
+            return function() {};
+        }
+        if (signal.aborted) {
+            abort();
+            return function() {};
+        }
+
+        signal.addEventListener('abort', abort);
+        return function() {
+            if (typeof signal.removeEventListener === 'function') {
+                signal.removeEventListener('abort', abort);
+            }
+        };
+    }
+
+    /**
+     * @return the options for the page walkers, with the default page 
+     *      size of the api
+     */
+    function pageOptions(api, walk_options) {
+        var copy = {};
+        var key;
+        for (key in walk_options) {
+            if (walk_options.hasOwnProperty(key)) {
+                copy[key] = walk_options[key];
+            }
+        }
+        copy.page_size = copy.page_size || api.page_size;
+        return copy;
+    }
+
+    /**
+     * Walks a paginated listing, requesting one page after the other until
+     * the server returns a page shorter than the page size, or a page that
+     * reaches the total it reports. It also stops if the server returns the
+     * same page again, which happens when it does not support offsets for 
+     * the listing.
+     *
+     * @param fetch function(limit, offset) that returns a promise for a page, 
+     *      as an object {items : [...], total : total reported by the server}
+     * @param on_page function(items, info) called for every page, where info
+     *      has the attributes offset, page (starting at 0) and total. Returning
+     *      false, or a promise for false, stops the walk.
+     * @param options object with the optional attributes:
+     *      page_size: number of items per page (defaults to DEFAULT_PAGE_SIZE)
+     *      on_total: function(total) called once with the total number of 
+     *          items, as soon as the server reports it or, if it does not, 
+     *          after the last page.
+     *      signal: AbortSignal-style object that stops the walk, see onAbort
+     * @return a promise for the number of walked items, with an abort() 
+     *      method that stops the walk and aborts the page being requested
+     */
+    function walkPages(fetch, on_page, options) {
+        options = options || {};
+
+        var page_size = options.page_size || DEFAULT_PAGE_SIZE;
+        var seen = 0;
+        var page = 0;
+        var last_first_id = null;
+        var total_reported = false;
+        var current = null;
+        var aborted = false;
+        var done, fail;
+
+        function reportTotal(total) {
+            if (!total_reported) {
+                total_reported = true;
+                invoke(options.on_total, total);
+            }
+        }
+
+        function abort() {
+            if (aborted) {
+                return;
+            }
+            aborted = true;
+
+            if (current && typeof current.abort === 'function') {
+                current.abort();
+            }
+            fail(PutioError("The request was aborted", undefined, undefined, undefined,
+                PutioError.ABORT));
+        }
+
+        function finish() {
+            reportTotal(seen);
+            done(seen);
+        }
+
+        function next(offset) {
+            current = fetch(page_size, offset);
+            current.then(function(result) {
+                var items = result.items;
+
+                if (aborted) {
+                    return;
+                }
+
+                if (items.length > 0 && items[0].id === last_first_id) {
+                    finish();
+                    return;
+                }
+
+                last_first_id = items.length > 0 ? items[0].id : null;
+                seen += items.length;
+
+                if (typeof result.total === 'number' && result.total > seen) {
+                    reportTotal(result.total);
+                }
+
+                var last = items.length < page_size || 
+                    (typeof result.total === 'number' && offset + items.length >= result.total);
+                var info = { offset : offset, page : page++, total : result.total };
+
+                resolved(items.length > 0 ? on_page(items, info) : true).then(
+                    function(more) {
+                        if (more === false || last) {
+                            finish();
+                        } else {
+                            next(offset + items.length);
+                        }
+                    }, fail);
+            }, fail);
+        }
+
+        var promise = handled(newPromise(function(resolve, reject) {
+            done = resolve;
+            fail = reject;
+        }));
+
+        var unlisten = onAbort(options.signal, abort);
+        promise.then(unlisten, unlisten);
+
+        /* Nothing is requested if the signal was already aborted */
+        if (!aborted) {
+            next(options.offset || 0);
+        }
+        return abortable(promise, abort);
+    }
+
+    /**
+     * Creates an asynchronous iterator over the items of a paginated listing.
+     * Pages are requested only when the previous one has been consumed.
+     *
+     * The iterator follows the async iteration protocol, so it can be used
+     * with "for await" where available:
+     *
+     *     var it = api.iterateItems(parent_id);
+     *     it.next().then(function(step) {
+     *         if (!step.done) {
+     *             alert(step.value.name);
+     *         }
+     *     });
+     *
+     * Call it.return() to stop early.
+     *
+     * @param fetch function(limit, offset) as in walkPages
+     * @param options object with the optional attribute page_size
+     * @return the iterator
+     */
+    function pageIterator(fetch, options) {
+        options = options || {};
+
+        var page_size = options.page_size || DEFAULT_PAGE_SIZE;
+        var offset = options.offset || 0;
+        var buffer = [];
+        var done = false;
+        var last_first_id = null;
+        var queue = resolved();
+
+        function step() {
+            if (buffer.length > 0) {
+                return resolved({ value : buffer.shift(), done : false });
+            }
+            if (done) {
+                return resolved({ value : undefined, done : true });
+            }
+
+            return fetch(page_size, offset).then(function(result) {
+                var items = result.items;
+
+                if (items.length < page_size || 
+                        (typeof result.total === 'number' && offset + items.length >= result.total) ||
+                        (items.length > 0 && items[0].id === last_first_id)) {
+                    done = true;
+                }
+                if (items.length > 0 && items[0].id === last_first_id) {
+                    items = [];
+                }
+
+                last_first_id = items.length > 0 ? items[0].id : null;
+                offset += items.length;
+                buffer = items.slice(0);
+
+                return step();
+            });
+        }
+
+        var iterator = {
+            next : function() {
+                /* Serialize the calls, so concurrent next() calls do not 
+                 * request the same page twice */
+                var result = queue.then(step);
+                queue = handled(result);
+                return result;
+            },
+
+            'return' : function(value) {
+                done = true;
+                buffer = [];
+                return resolved({ value : value, done : true });
+            }
+        };
+
+        if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+            iterator[Symbol.asyncIterator] = function() {
+                return this;
+            };
+        }
+
+        return iterator;
+    }
+
+    /**
+     * Runs a task for every id of a list, with at most concurrency tasks at
+     * the same time. Failed tasks do not stop the others.
+     *
+     * @param callback function(result) where the aggregate result will be 
+     *      passed (optional)
+     * @param ids list of ids
+     * @param task function(id) that returns a promise, as the api methods do
+     * @param options object with the optional attributes:
+     *      concurrency: maximum number of tasks running at the same time,
+     *          defaults to DEFAULT_BULK_CONCURRENCY
+     *      on_progress: function(done, total) called after every task
+     *      signal: AbortSignal-style object that stops the run, see onAbort
+     * @return a promise for the aggregate result {succeeded : [ids], 
+     *      failed : [{id : id, error : PutioError}]}, in the order of ids. 
+     *      It is never rejected: the tasks that could not run because the
+     *      run was aborted fail with a PutioError of kind ABORT. The promise
+     *      has an abort() method.
+     */
+    function runBulk(callback, ids, task, options) {
+        options = options || {};
+
+        var concurrency = Math.max(1, options.concurrency || DEFAULT_BULK_CONCURRENCY);
+        var outcomes = [];
+        var running = [];
+        var started = 0;
+        var finished = 0;
+        var aborted = false;
+        var complete;
+
+        function abortError(id) {
+            return PutioError("The request was aborted", undefined, undefined, 
+                { 'id' : id }, PutioError.ABORT);
+        }
+
+        function result() {
+            var summary = { succeeded : [], failed : [] };
+            for (var k = 0; k < ids.length; k++) {
+                if (outcomes[k].error) {
+                    summary.failed[summary.failed.length] = outcomes[k];
+                } else {
+                    summary.succeeded[summary.succeeded.length] = ids[k];
+                }
+            }
+            return summary;
+        }
+
+        function settle(index, error) {
+            outcomes[index] = { id : ids[index], error : error };
+            running[index] = null;
+            finished++;
+
+            if (options.on_progress) {
+                invoke(function() {
+                    options.on_progress(finished, ids.length);
+                });
+            }
+
+            if (finished === ids.length) {
+                complete(result());
+            } else {
+                next();
+            }
+        }
+
+        function next() {
+            while (!aborted && started < ids.length && 
+                    started - finished < concurrency) {
+                start(started++);
+            }
+        }
+
+        function start(index) {
+            var promise;
+            try {
+                promise = task(ids[index]);
+            } catch (e) {
+                settle(index, e);
+                return;
+            }
+
+            running[index] = promise;
+            promise.then(function() {
+                if (running[index] === promise) {
+                    settle(index, null);
+                }
+            }, function(error) {
+                if (running[index] === promise) {
+                    settle(index, error);
+                }
+            });
+        }
+
+        function abort() {
+            if (aborted) {
+                return;
+            }
+            aborted = true;
+
+            for (var k = 0; k < ids.length; k++) {
+                if (running[k]) {
+                    if (typeof running[k].abort === 'function') {
+                        running[k].abort();
+                    } else {
+                        settle(k, abortError(ids[k]));
+                    }
+                }
+            }
+            while (started < ids.length) {
+                started++;
+                settle(started - 1, abortError(ids[started - 1]));
+            }
+        }
+
+        var promise = newPromise(function(resolve) {
+            complete = function(summary) {
+                resolve(summary);
+                invoke(callback, summary);
+            };
+
+            if (ids.length === 0) {
+                complete(result());
+            }
+        });
+
+        var unlisten = onAbort(options.signal, abort);
+        promise.then(unlisten);
+
+        next();
+        return abortable(promise, abort);
+    }
+
+    /**
+     * @param proto prototype of the new object
+     * @return a new object that inherits from proto
+     */
+    function create(proto) {
+        function F() {}
+        F.prototype = proto;
+        return new F();
+    }
+
+    /* Model types by name, see defineModel() and fromJSON() */
+    var MODELS = {};
+
+    /**
+     * Makes a factory function a model type, so the objects it returns are
+     * instances of it and can be stored, see toJSON():
+     *
+     *     item instanceof putio.Item
+     *
+     * @param type the factory function, for instance Item
+     * @param name name of the model, used in error messages
+     * @param schema attributes expected in the server responses, see 
+     *      applySchema()
+     * @param parent model type to inherit from (optional)
+     */
+    function defineModel(type, name, schema, parent) {
+        if (parent) {
+            type.prototype = create(parent.prototype);
+        }
+        type.prototype.constructor = type;
+        type.prototype.toJSON = toJSON;
+        type.model = name;
+        type.schema = schema;
+        MODELS[name] = type;
+    }
+
+    /**
+     * Serializes a model with its attributes and without its methods, so
+     * JSON.stringify() gives a string that fromJSON() turns back into the 
+     * model:
+     *
+     *     {"model":"Item","attributes":{"id":"4394","name":"a.mp3",...}}
+     *
+     * @return an object with the name of the model and the attributes
+     */
+    function toJSON() {
+        return { model : this.constructor.model, attributes : attributesOf(this) };
+    }
+
+    /**
+     * @return a copy of the attributes of the object, without its methods
+     */
+    function attributesOf(object) {
+        var attributes = {};
+        var key;
+        for (key in object) {
+            if (object.hasOwnProperty(key) && typeof object[key] !== 'function') {
+                attributes[key] = object[key];
+            }
+        }
+        return attributes;
+    }
+
+    /**
+     * Rebuilds models stored with toJSON(), bound to an Api instance. Items
+     * and folders join the identity map of the api, see ItemMap; if the 
+     * item is already loaded, the loaded object is returned.
+     *
+     * Example:
+     *     tx.executeSql('INSERT INTO listing(id, json) VALUES (?, ?)', 
+     *         [folder.id, JSON.stringify(items)]);
+     *     ...
+     *     var items = putio.fromJSON(api, results.rows.item(0).json);
+     *
+     * @param api the Api instance
+     * @param data a serialized model, a list of them, or the JSON string of
+     *      either
+     * @return the model, or the list of models
+     * @throws a PutioError of kind PutioError.ARGUMENT if data is not a 
+     *      serialized model, or of kind PutioError.SCHEMA if its attributes
+     *      do not match the model
+     */
+    function fromJSON(api, data) {
+        var type, model, k;
+
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch (e) {
+                throw PutioError("The stored data is not valid JSON", null, null, null,
+                    PutioError.ARGUMENT);
+            }
+        }
+
+        if (isArray(data)) {
+            var models = [];
+            for (k = 0; k < data.length; k++) {
+                models[models.length] = fromJSON(api, data[k]);
+            }
+            return models;
+        }
+
+        type = data && MODELS.hasOwnProperty(data.model) ? MODELS[data.model] : null;
+        if (!type) {
+            throw PutioError("The stored data is not a model of the library", null, null, 
+                null, PutioError.ARGUMENT);
+        }
+
+        model = type(api, data.attributes);
+        return model instanceof Item ? api.items.adopt(model) : model;
+    }
+
+    /**
+     * @return the value converted to the type of a schema, or undefined if 
+     *      it cannot be converted
+     */
+    function convertValue(type, value) {
+        if (type === 'string') {
+            return typeof value === 'string' ? value : undefined;
+        }
+        if (type === 'number') {
+            if (typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(value)) {
+                return Number(value);
+            }
+            return typeof value === 'number' && isFinite(value) ? value : undefined;
+        }
+        if (type === 'boolean') {
+            if (value === 'true' || value === 1 || value === '1') {
+                return true;
+            }
+            if (value === 'false' || value === 0 || value === '0') {
+                return false;
+            }
+            return typeof value === 'boolean' ? value : undefined;
+        }
+        if (type === 'id') {
+            return (typeof value === 'number' && isFinite(value)) || 
+                (typeof value === 'string' && /^\d+$/.test(value)) ? value : undefined;
+        }
+        return value;
+    }
+
+    /**
+     * Checks the attributes received from the server against the schema of
+     * a model, see defineModel(). Each attribute of the schema has a type,
+     * followed by '?' if it may be missing, null or an empty string:
+     *
+     *     'string'   a string
+     *     'number'   a number. Numeric strings, as put.io sends sizes and 
+     *                quotas, are converted.
+     *     'boolean'  true or false. 'true', 'false', 1 and 0 are converted.
+     *     'id'       a number or a numeric string, kept as received
+     *
+     * Attributes that are not in the schema are kept as they are.
+     *
+     * @param type the model type
+     * @param args attributes returned by the server
+     * @return a new instance of the model with the converted attributes
+     * @throws a PutioError of kind PutioError.SCHEMA if args does not match
+     */
+    function applySchema(type, args) {
+        var that = create(type.prototype);
+        var schema = type.schema || {};
+        var key, spec, optional, value;
+
+        if (!args || typeof args !== 'object') {
+            throw PutioError("The server returned an empty " + type.model, null, null, 
+                null, PutioError.SCHEMA);
+        }
+
+        for (key in args) {
+            if (args.hasOwnProperty(key)) {
+                that[key] = args[key];
+            }
+        }
+
+        for (key in schema) {
+            if (schema.hasOwnProperty(key)) {
+                spec = schema[key];
+                optional = spec.charAt(spec.length - 1) === '?';
+                spec = optional ? spec.substring(0, spec.length - 1) : spec;
+                value = that[key];
+
+                if (value === undefined || value === null || (optional && value === '')) {
+                    if (!optional) {
+                        throw PutioError("The " + type.model + " returned by the server " +
+                            "has no " + key, null, null, null, PutioError.SCHEMA);
+                    }
+                    continue;
+                }
+
+                that[key] = convertValue(spec, value);
+                if (that[key] === undefined) {
+                    throw PutioError("The " + key + " of the " + type.model + 
+                        " returned by the server should be " + 
+                        (spec === 'id' ? "an id" : "a " + spec) + ", not " + 
+                        JSON.stringify(value), null, null, null, PutioError.SCHEMA);
+                }
+            }
+        }
+
+        return that;
+    }
+
+    /**
+     * @param args attributes of the object
+     * @param type model type of the object (optional), see defineModel(). 
+     *      The attributes are then checked with its schema.
+     * @return base object to extend by other objects
+     */
+    function BaseObj(args, type) {
+        if (type) {
+            return applySchema(type, args);
+        }
+
+        args = args || {};
+        
+        return args;
+    }
+    
+    /**
+     * @return base object for all objects generated from the Api
+     */
+    function BaseApiObj(api, args, type) {
+        var that = BaseObj(args, type);
+        
+        that.getApi = function() {
+            return api;
+        };
+        
+        return that;
+    }
+    
+    /**
+     * Sample user:
+     *
+     * u.name                  : 'aft'
+     * u.friends_count         : 497 
+     * u.bw_avail_last_month   : '0'
+     * u.bw_quota              : '161061273600' 
+     * u.shared_items          : 3
+     * u.bw_quota_available    : '35157040261' 
+     * u.disk_quota            : '206115891200' 
+     * u.disk_quota_available  : '158153510402' 
+     * u.shared_space          : 0
+     */
+    function User(api, args) {
+        return BaseApiObj(api, args, User);
+    }
+
+    defineModel(User, 'User', {
+        name : 'string',
+        friends_count : 'number?',
+        bw_avail_last_month : 'number?',
+        bw_quota : 'number?',
+        shared_items : 'number?',
+        bw_quota_available : 'number?',
+        disk_quota : 'number?',
+        disk_quota_available : 'number?',
+        shared_space : 'number?'
+    });
+    
+    /**
+     * Sample friend
+     *
+     * f.dir_id    : '1407'
+     * f.id        : '2'
+     * f.name      : 'hasan'
+     */
+    function Friend(api, args) {
+        var that = BaseApiObj(api, args, Friend);
+
+        /**
+         * Lists a friends shared items
+         * 
+         * @callback function([item Array]) to call if the request succeeds
+         * @param options options of the request, such as signal, see 
+         *      api.getItems() (optional)
+         * @return a promise for the list of items
+         */
+        that.getItems = function(callback, limit, offset, args, options) {
+            return this.getApi().getItems(callback, this.dir_id, limit, offset, args, options);
+        };
+
+        /**
+         * Walks all the shared items of the friend, page by page. See 
+         * api.eachPage() for the options.
+         *
+         * @param on_page function(items, info) called for every page
+         * @param options page_size, on_total and args (optional)
+         * @return a promise for the number of items
+         */
+        that.eachPage = function(on_page, options) {
+            return this.getApi().eachPage(on_page, this.dir_id, options);
+        };
+
+        /**
+         * @param options page_size and args (optional)
+         * @return an asynchronous iterator over the shared items of the friend,
+         *      see api.iterateItems()
+         */
+        that.iterateItems = function(options) {
+            return this.getApi().iterateItems(this.dir_id, options);
+        };
+
+        return that;
+    }
+
+    defineModel(Friend, 'Friend', {
+        id : 'id',
+        name : 'string',
+        dir_id : 'id?'
+    });
+    
+    
+    /**
+     * Dashboard message objects.
+     *  
+     * Message Methods:
+     * 
+     * message.remove()
+     *  
+     * Message Attributes:
+     *  
+     * message.id (Integer) 
+     * message.user_id (Integer) 
+     * message.title (String)
+     * message.description (None) 
+     * message.importance (Integer)
+     * message.file_name (String) 
+     * message.file_type (String)
+     * message.user_file_id (Integer) 
+     * message.from_user_id (Integer.  If false, message is from Put.io) 
+     * message.channel (Integer) 
+     * message.hidden (Integer, 1 or 0)
+     *  
+     * Sample:
+     *  
+     * user_file_id = 4 
+     * user_id = 17 
+     * description = None 
+     * title = '<a rel="userfile" "href="/file/4">abcd.mp4 </a> 
+     *     <span class="dash-gray">(89.86K) downloaded</span>' 
+     * importance = 0 
+     * file_name = 'abcd.mp4'
+     * id = 3773 
+     * file_type = 'audio' 
+     * hidden = 0 
+     * from_user_id = None
+     * channel = 2
+     */
+    function Message(api, args) {
+        var that = BaseApiObj(api, args, Message);
+        /**
+         * Deletes messages. 
+         *
+         * @param callback function(boolean) that will be if the request succeeds
+         * @param options options of the request, such as a signal to abort it,
+         *      see callServerMethod() (optional)
+         * @return a promise for true
+         */
+        that.remove = function(callback, options) {
+            var params = {'id' : this.id };
+
+            return this.getApi().callServerMethod('/messages', 'delete', callback,
+                params, function(results) {
+                    return true;
+                }, options);
+        };
+        
+        return that;
+    }
+
+    defineModel(Message, 'Message', {
+        id : 'id',
+        title : 'string?',
+        importance : 'number?',
+        file_name : 'string?',
+        file_type : 'string?',
+        user_file_id : 'id?'
+    });
+    
+    /**
+     * For us, Url is a downloadable file link. These files can be any type.
+     * Sources can be ftp, http, etc.
+     *  
+     * Url Attributes:
+     *       
+     *      instance.dl_handler  = 'Single Url'
+     *      instance.name        = 'name_of_the_file.mp4'
+     *      instance.file_type   = 'file'
+     *      instance.error       = None
+     *      instance.url         = 'ftp://a.b.c/name_of_the_file.mp4'
+     *      instance.paid_bw     = 0
+     *      instance.file_size   = '92014'
+     *      instance.type_name   = 'file'
+     *      instance.dltype      = 3
+     *      instance.human_size  = '89.86K'
+     */
+    function Url(api, args) {
+        var that = BaseApiObj(api, args, Url);
+        
+        that.toString = function() {
+            return this.url;
+        };
+        
+        return that;
+    }
+
+    defineModel(Url, 'Url', {
+        url : 'string',
+        name : 'string?',
+        file_size : 'number?',
+        size : 'number?',
+        paid_bw : 'number?'
+    });
+
+    /**
+     * Torrent objects are fetched via our Torrent clients. It can contain
+     * single, multi part archive files, or any other file type. Send the
+     * torrent URL, we figure out the rest.
+     * 
+     * Torrent Attributes:
+     *     
+     *     instance.dl_handler  = 'Torrent'
+     *     instance.name        = 'ABCDE.avi'
+     *     instance.file_type   = 'file'
+     *     instance.file_size   = 244091464
+     *     instance.url         = 'http://a.b/c.torrent'
+     *     instance.paid_bw     = 0
+     *     instance.error       = None
+     *     instance.type_name   = 'file'
+     *     instance.dltype      = 2
+     *     instance.human_size  = '232.78M'
+     */
+    function Torrent(api, args) {
+        return BaseApiObj(api, args);
+    }
+
+
+    /**
+     * Multipart objects are files, which contains patterns like "part1",
+     * "001", etc. These files are automatically extracted and saved to your
+     * space.
+     * 
+     * Multipart Attributes:
+     *     
+     *  instance.name       = 'ABCDE'
+     *  instance.size       = 366500388
+     *  instance.human_size = 350.0M
+     *  instance.paid_bw    = 366500388
+     *  instance.parts      = 
+     *  [
+     *       {
+     *         "url":"http:\/\/rapidshare.com\/files\/1\/M.part3.rar",
+     *         "size":"47711664",
+     *         "paid_bw":"47711664",
+     *         "source":"rapidshare.com",
+     *         "name":"Mdb35.part3.rar",
+     *         "human_size":"45.5M",
+     *         "type":"file",
+     *         "needs_pass":0,
+     *         "error": false
+     *      },
+     *      {
+     *         "url":"http:\/\/rapidshare.com\/files\/2\/M.part1.rar",
+     *         "size":"55000000",
+     *         "paid_bw":"55000000",
+     *         "source":"rapidshare.com",
+     *         "name":"Mdb35.part1.rar",
+     *         "human_size":"52.5M",
+     *         "type":"file",
+     *         "needs_pass":0,
+     *         "error":null
+     *      }
+     *
+     *  ]
+     *  instance.error      = false
+     */
+    function Multipart(api, args) {
+        return BaseApiObj(api, args);
+    }
+    
     /**
      * Transfer Methods:
      *      
      *     instance.destroyTransfer()
      *  
-     * 
-     * Transfer Attributes:
+     * 
+     * Transfer Attributes:
+     *     
+     *     instance.id
+     *     instance.name
+     *     instance.status
+     *     instance.percent_done
+     * 
+     * 
+     *     human_size  : 200.0M 
+     *     name        : The.Messenger.DVDRip.XviD-AMIABLE.part1.rar 
+     *     url         : http://rapidshare.com/files/3232/abc.part1.rar' 
+     *     needs_pass  : 0, 
+     *     source      : rapidshare.com', 
+     *     paid_bw     : 209715200', 
+     *     error       : None, 
+     *     type        : file', 
+     *     size        : 209715200'
+     * 
+     * Samples:
+     *     
+     *     instance.status       = 'Completed'
+     *     instance.percent_done = '100'
+     *     instance.id           = '45'
+     *     instance.name         = 'A video file.avi'
+     *     
+     *     
+     *     instance.status       : 'Waiting'
+     *     instance.percent_done : '0'
+     *     instance.id           : '47'
+     *     instance.name         : 'abcde.mp4'
+     */
+    function Transfer(api, args) {
+        var that = BaseApiObj(api, args, Transfer);
+
+        /**
+         * Destroy this transfer object irreversibly
+         *
+         * @param callback function(success) to call when if the call succeeds
+         * @param options options of the request, such as a signal to abort it,
+         *      see callServerMethod() (optional)
+         * @return a promise for true
+         */
+        that.destroyTransfer = function(callback, options) {
+            var params = { 'id' : this.id };
+
+            return this.getApi().callServerMethod('/transfers', 'cancel', callback,
+                params, function(results) {
+                    return true;
+                }, options);
+        };
+        
+        return that;
+    }
+
+    defineModel(Transfer, 'Transfer', {
+        id : 'id',
+        name : 'string?',
+        status : 'string?',
+        percent_done : 'number?',
+        size : 'number?'
+    });
+    
+    /**
+     * Url bucket is a completion of urls ready to fetch.
+     *
+     * UrlBucket Methods:
+     *     
+     *     bucket.add()
+     *     bucket.analyze_and_add_urls()
+     *     bucket.get_report()
+     *     bucket.fetch()
+     * 
+     * Static Methods:
+     *     
+     *     extract_urls()
+     *     crawl_webpage()
+     * 
+     * Abilities:
+     *     
+     *     - Add urls to the bucket
+     *     - Get report of the bucket if you need to.
+     *     - Fetch the urls
+     *     
+     *     You can also:
+     *     - Analyze urls and add
+     *     - Crawl a web page and extract URLs
+     *     - Extract URLs from a text block
+    */
+    function UrlBucket(api, singleurl, torrenturl, multiparturl) {
+        var that = BaseApiObj(api);
+
+        var _last_analyzed_bw_avail = null;
+        var _last_analyzed_disk_avail = null;
+        var _req_space = null;
+        var _paid_bw = null;
+
+        var _links = { multiparturl : [], torrenturl : [], singleurl : [], 
+            error : [] };
+        
+        function _add(singleurl, torrenturl, multiparturl, error, info) {
+            singleurl = singleurl || [];
+            torrenturl = torrenturl || [];
+            multiparturl = multiparturl || [];
+            error = error || [];
+            info = info || [];
+
+            var k, l;
+            for (k in (l = [singleurl, torrenturl, multiparturl, error])) {
+                if (!isArray(l[k])) {
+                    throw "Add method takes only arrays as arguments";
+                }
+            }
+
+            for (k = 0; k < singleurl.length; k++) {
+                _links.singleurl[_links.singleurl.length] = singleurl[k];
+            }
+
+            for (k = 0; k < torrenturl.length; k++) {
+                _links.torrenturl[_links.torrenturl.length] = torrenturl[k];
+            }
+
+            for (k = 0; k < multiparturl.length; k++) {
+                _links.multiparturl[_links.multiparturl.length] = multiparturl[k];
+            }
+
+            for (k = 0; k < error.length; k++) {
+                _links.error[_links.error.length] = error[k];
+            }
+            
+            if (info.length > 0) {
+                _last_analyzed_bw_avail = info.last_analyzed_bw_avail || 
+                    _last_analyzed_bw_avail;
+                _last_analyzed_disk_avail = info.last_analyzed_disk_avail || 
+                    _last_analyzed_disk_avail;
+                _req_space = info.req_space || _req_space;
+                _paid_bw = info.paid_bw || _paid_bw;
+            }
+        }
+        
+        /* Update using the values passed as parameters */
+        _add(singleurl, torrenturl, multiparturl);
+        
+        
+        /**
+         * @return the required space by this bucket
+         */
+        that.getReqSpace = function() {
+            return _req_space;
+        };
+        
+        /**
+         * @return The baid bandwidth that will be used by
+         * this bucket
+         */
+        that.getPaidBw = function() {
+            return _paid_bw;
+        };
+        
+        /**
+         * @return list of single urls for this bucket
+         */
+        that.getSingleUrls = function() {
+            return _links.singleurl;
+        };
+        
+        /**
+         * @return list of torrent urls for this bucket
+         */
+        that.getTorrentUrls = function() {
+            return _links.torrenturl;
+        };
+        
+        /**
+         * @return list of multipart urls for this bucket
+         */
+        that.getMultipartUrls = function() {
+            return _links.multiparturl;
+        };
+        
+        /**
+         * @return list of error urls for this bucket
+         */
+        that.getErrorUrls = function() {
+            return _links.errorurl;
+        };
+        
+        /**
+         * Takes: String or array
+         * Returns: Dictionary of bucket items
+         * 
+         * Adds url(s) to the bucket to analyze or fetch. We recommend using
+         * analyze() method instead.
+         */
+        that.add = function(url) {
+            var args = {};
+            if (url && typeof url === 'string') {
+                args = {'url' : url};
+                _links.singleurl[_links.singleurl.length] = Url(this.getApi(), args);
+            }
+            else if (url && isArray(url)) {
+                for (var k = 0; k < url.length; k++) {
+                    args = {'url' : url[k]};
+                    _links.singleurl[_links.singleurl.length] = Url(this.getApi(), 
+                        args);
+                }
+            }
+            else {
+                throw "Add method takes only a string or an array as argument";
+            }
+
+            return _links;
+        };
+        
+        /**
+         * Returns the report of your bucket's last analyzation. Each UrlBucket
+         * has its own report. After updating a bucket, remember to check its
+         * new report.
+         * 
+         * Analyzed urls return like this one:
+         * 
+         * {
+         *     'dl_handler': 1,
+         *     'name': 'Itemname.ext',
+         *     'file_type': 1,
+         *     'error': None,
+         *     'url': 'http://torrent.a.b/file.torrent',
+         *     'paid_bw': 0,
+         *     'file_size': 244091464,
+         *     'type_name': 'file',
+         *     'dltype': 2,             #fixme whats this?
+         *     'human_size': '232.78M'
+         * }
+         */
+        that.getReport = function() {
+            return {"Current Available Disk Space": _last_analyzed_disk_avail,
+                "Current Available Bandwidth": _last_analyzed_bw_avail,
+                "Required Space": _req_space,
+                "Bandwidth to be deducted from quota": _paid_bw,
+                "Urls": _links};
+        };
+        
+        
+        /**
+         * Initiates fetching all the links of the given URL Bucket instance.
+         *
+         * Returns newly added transfers. Erroneous transfers will have the word
+         * "Error" in "status".
+         *
+         * @param callback function([Transfer Array]) where the list of transfers will 
+         *      be passed if the request succeeds.
+         * @param options options of the request, such as a signal to abort it,
+         *      see callServerMethod() (optional)
+         * @return a promise for the list of transfers
+         */
+        that.fetch = function(callback, options) {
+            var go_fetch = [];        
+            var key, i;
+            for (key in _links) {
+                if (_links.hasOwnProperty(key)) { 
+                    if (key == 'error') {
+                        continue;
+                    }
+                    
+                    for (i = 0; i < _links[key].length; i++) {
+                        go_fetch[go_fetch.length] = _links[key][i].url;
+                    }
+                }
+            }
+            
+            var params = {'links' : go_fetch };
+            var api = this.getApi();
+
+            return api.callServerMethod('/transfers', 'add', callback, params,
+                function(results) {
+                    var transfers = [];
+                    for (i = 0; i < results.length; i++) {
+                        transfers[transfers.length] = Transfer(api, results[i]);
+                    }
+
+                    /* Pass the transfer list to the callback */
+                    return transfers;
+                }, options);
+        };
+        
+        /**
+         * Analyzes the bucket or, if given, the list of urls provided and 
+         * passes an updated bucket with the urls that put.io can fetch to the
+         * provided callback.
+         *
+         * Example:
+         *     Analyze the provided list of links and fetch the new bucket
+         *
+         *     bucket.analyze(function(new_bucket) {
+         *         new_bucket.fetch();
+         *     }, array);
+         *     
+         * @param callback function([Bucket Object]) where the updated bucket will be
+         *     passed if the request succeeds.
+         * @param links array of urls as strings or an array of url objects.
+         * @param options options of the request, such as a signal to abort it,
+         *      see callServerMethod() (optional)
+         * @return a promise for the updated bucket
+         */
+        that.analyze = function(callback, links, options) {
+            links = links || [];
+
+            if (!isArray(links)) {
+                throw "Analyze method takes a list. Use " + 
+                    "extract_urls() to convert string of urls to a list.";
+            }
+
+            var go_analyze = [];
+            var k, i;
+            for (k = 0; k < links.length; k++) {
+                go_analyze[go_analyze.length] = links[k].toString();
+            }
+            
+            /* Add also the links already included in this bucket */
+            for (k in _links) {
+                if (_links.hasOwnProperty(k)) { 
+                    if (k == 'error') {
+                        continue;
+                    }
+                    
+                    for (i = 0; i < _links.length; i++) {
+                        go_analyze[go_analyze.length] = _links[k][i].url;
+                    }
+                }
+            }
+
+            var params = { 'links' : go_analyze };
+
+            /* Reference this bucket */
+            var bucket = this;
+
+            return this.getApi().callServerMethod('/urls', 'analyze', callback,
+                params, function(results) {
+                    var multipart_urls  = [];
+                    var single_urls     = [];
+                    var torrent_urls    = [];
+                    var error_urls      = [];
+
+                    var paid_bw = 0;
+                    var req_space = 0;
+
+                    var i,k,r;
+                    for (k = 0; k < results.items.multiparturl.length; k++) {
+                        r = results.items.multiparturl[k];
+
+                        paid_bw  += r.paid_bw;
+                        req_space  += r.size;
+
+                        for (i = 0; i < r.parts.length; i++) {
+                            multipart_urls[multipart_urls.length] = 
+                                Multipart(bucket.getApi(), r.parts[i]);
+                        }
+                    }
+
+                    for (k = 0; k < results.items.torrent.length; k++) {
+                        r = results.items.torrent[k];
+
+                        torrent_urls[torrent_urls.length] = 
+                            Torrent(bucket.getApi(), r);
+
+                        paid_bw  += r.paid_bw;
+                        req_space  += r.size;
+                    }
+
+                    for (k = 0; k < results.items.singleurl.length; k++) {
+                        r = results.items.singleurl[k];
+
+                        single_urls[single_urls.length] = Url(bucket.getApi(), r);
+
+                        paid_bw  += r.paid_bw;
+                        req_space  += r.size;
+                    }
+ 
+                    for (k = 0; k < results.items.error.length; k++) {
+                        error_urls[error_urls.length] = Url(bucket.getApi(), 
+                            results.items.error[k]);
+                    }
+
+                    // Reset the links before updating the info
+                    _links = { 'multiparturl' : [], 'torrenturl' : [], 
+                        'singleurl' : [], 'error' : [] };
+
+                    _add(single_urls, torrent_urls, multipart_urls, error_urls, {
+                        last_analyzed_disk_avail : results.disk_avail,
+                        last_analyzed_bw_avail : results.bw_avail,
+                        paid_bw : paid_bw,
+                        req_space : req_space});
+
+                    return bucket;
+                }, options);
+        };
+        
+        /**
+         * Extracts a list of usable urls from the specified text
+         * and passes the list of urls to the provided
+         * callback
+         *
+         * @param callback function([String Array]) where the list of urls will be passed
+         *      if the request succeeds.
+         * @param text text where the urls will be extracted
+         * @param options options of the request, such as a signal to abort it,
+         *      see callServerMethod() (optional)
+         * @return a promise for the list of urls
+         */
+        that.extractUrls = function(callback, text, options) {
+            var params = { 'txt' : text };
+
+            return this.getApi().callServerMethod('/urls', 'extracturls', callback,
+                params, function(results) {
+                    var urls = [];
+                    
+                    // TODO: Lookup the result of this remote call
+                    // to see if results is really an array or an object
+                    for (var k = 0; k < results.length; k++) {
+                        urls[urls.length] = results[k].url;
+                    }
+
+                    return urls;
+                }, options);
+        };
+
+        return that;
+    }
+    
+    /**
+     * @param api the Api instance
+     * @param results list of items returned by the server
+     * @return the list of Item objects
+     */
+    function itemList(api, results) {
+        var items = [];
+        for (var k = 0; k < results.length; k++) {
+            items[items.length] = createItem(api, results[k]);
+        }
+        return items;
+    }
+
+    /**
+     * Builds the params of a /files list request, see api.getItems()
+     */
+    function listParams(parent_id, limit, offset, args) {
+        /* Default values */
+        limit = limit || 20;
+        offset = offset || 0;
+        parent_id = parent_id || 0;
+        args = args || {};
+
+        var params = {'limit' : limit, 'offset' : offset, 'parent_id' : parent_id};
+        var key;
+        for (key in args) {
+            if (args.hasOwnProperty(key)) {
+                params[key] = args[key];
+            }
+        }
+
+        if (params.type) {
+            params.type = fileTypeToInt(params.type);
+        }
+
+        return params;
+    }
+
+    /**
+     * Appends a valid access token to a stream or download url of the item.
+     * The token expires, so the url can be handed to other applications 
+     * without giving them the credentials of the user.
+     *
+     * @param item the item to stream or download
+     * @param url stream or download url of the item, without token
+     * @param callback function(url) where the complete url will be passed
+     * @param download true for a download url, false for a stream url
+     * @return a promise for the complete url
+     */
+    function accessUrl(item, url, callback, download) {
+        if (item.is_dir || !url) {
+            return rejected(PutioError("The item " + item.id + " cannot be " + 
+                (download ? "downloaded" : "streamed"),
+                '/files', 'info', { 'id' : item.id }, PutioError.ARGUMENT));
+        }
+
+        return handled(item.getApi().getAccessToken().then(function(token) {
+            var backend = item.getApi().backend;
+            var access_url = download ? backend.downloadUrl(url, token) : 
+                backend.streamUrl(url, token);
+            invoke(callback, access_url);
+            return access_url;
+        }));
+    }
+
+    /**
+     * Keeps the access token of an Api instance, needed to stream files. The
+     * token is requested only when there is no valid one, and concurrent
+     * requests for a token share a single call to the server.
+     *
+     * Available as api.tokens:
+     *
+     *     api.tokens.get()         promise for a valid token
+     *     api.tokens.refresh()     promise for a new token
+     *     api.tokens.peek()        the current token, or null if there is no
+     *                              valid one
+     *     api.tokens.invalidate()  forgets the current token
+     *     api.tokens.ttl           time a token is valid, in milliseconds
+     *
+     * @param api the Api instance
+     */
+    function TokenManager(api) {
+        var token = null;
+        var fetched_at = 0;
+        var pending = null;
+
+        return {
+            ttl : DEFAULT_TOKEN_TTL,
+
+            /**
+             * @return the current token, or null if there is none or it expired
+             */
+            peek : function() {
+                if (token && new Date().getTime() - fetched_at < this.ttl) {
+                    return token;
+                }
+                return null;
+            },
+
+            /**
+             * Requests a new token, unless a request is already in progress.
+             *
+             * @param callback function(token) where the token will be passed (optional)
+             * @return a promise for the new token
+             */
+            refresh : function(callback) {
+                if (!pending) {
+                    pending = api.callServerMethod('/user', 'acctoken', null, {},
+                        function(results) {
+                            return results.token;
+                        }).then(function(new_token) {
+                            token = new_token;
+                            fetched_at = new Date().getTime();
+                            api.access_token = new_token;
+                            pending = null;
+                            api.emit('token:refreshed', { token : new_token });
+                            return new_token;
+                        }, function(error) {
+                            pending = null;
+                            throw error;
+                        });
+                }
+
+                return handled(pending.then(function(new_token) {
+                    invoke(callback, new_token);
+                    return new_token;
+                }));
+            },
+
+            /**
+             * @param callback function(token) where the token will be passed (optional)
+             * @return a promise for a valid token, cached or new
+             */
+            get : function(callback) {
+                var current = this.peek();
+                if (current) {
+                    invoke(callback, current);
+                    return resolved(current);
+                }
+                return this.refresh(callback);
+            },
+
+            /**
+             * Forgets the current token, so the next get() requests a new one.
+             */
+            invalidate : function() {
+                token = null;
+                fetched_at = 0;
+                api.access_token = undefined;
+            }
+        };
+    }
+
+    /**
+     * An item can be a file or a folder.
+     *  
+     * Avaiable Item methods are:
      *     
-     *     instance.id
-     *     instance.name
-     *     instance.status
-     *     instance.percent_done
-     * 
-     * 
-     *     human_size  : 200.0M 
-     *     name        : The.Messenger.DVDRip.XviD-AMIABLE.part1.rar 
-     *     url         : http://rapidshare.com/files/3232/abc.part1.rar' 
-     *     needs_pass  : 0, 
-     *     source      : rapidshare.com', 
-     *     paid_bw     : 209715200', 
-     *     error       : None, 
-     *     type        : file', 
-     *     size        : 209715200'
-     * 
-     * Samples:
+     *     item.renameItem()
+     *     item.moveItem()
+     *     item.remove()
+     *     item.updateInfo()
+     *     item.getDownloadUrl()
+     *     item.fetchDownloadUrl()
+     *     item.getZipUrl()
+     *     item.getStreamUrl()
+     *     item.fetchStreamUrl()
+     *     item.fetchMp4StreamUrl()
+     *     item.getParent()
+     *     item.canCreateMp4()
+     *     item.createMp4()
+     *     item.getMp4Status()
+     *     item.waitForMp4()
+     *  
+     * Available Item attributes:
+     * Sizes are in bytes. Use human_size(byte) to convert if necessary.
      *     
-     *     instance.status       = 'Completed'
-     *     instance.percent_done = '100'
-     *     instance.id           = '45'
-     *     instance.name         = 'A video file.avi'
+     *     item.id
+     *     item.name
+     *     item.type
+     *     item.size
+     *     item.is_dir
+     *     item.parent_id
+     *     item.screenshot_url
+     *     item.thumb_url
+     *     item.file_icon_url
+     *     item.download_url
+     * 
+     * Example Folder Item:
      *     
+     *     "id":"4394",
+     *     "name":"Billie Ray Martin The Crackdown Project - Vol 1",
+     *     "type":"folder",
+     *     "size":"23472048",
+     *     "is_dir":true,
+     *     "parent_id":"0",
+     *     "screenshot_url":"http://put.io/screenshot/b/dgRraFxlXmNl.jpg",
+     *     "thumb_url":"http://put.io/screenshot/dgRraFxlXmNl.jpg",
+     *     "file_icon_url":"http://put.io/images/file_types/folder.png",
+     *     "folder_icon_url":"",
+     *     "download_url":"http://node2.endlessdisk.com/download-file/17/4394",
+     *     "zip_url":"/stream-basket/17/4394"}
+     * 
+     * 
+     * at the moment, type can be a:
      *     
-     *     instance.status       : 'Waiting'
-     *     instance.percent_done : '0'
-     *     instance.id           : '47'
-     *     instance.name         : 'abcde.mp4'
+     *     folder
+     *     file
+     *     audio
+     *     movie
+     *     image
+     *     compressed
+     *     pdf
+     *     ms_doc
+     *     text
+     *     swf
+     *     unknown
+     */
+    function Item(api, args, type) {
+        var that = BaseApiObj(api, args, type || Item);
+        
+        /**
+         * Renames the item and passes the updated object 
+         * to the provided callback.
+         *
+         * @param callback function([Item Object]) where the updated item
+         *     will be passed if the request succeeds. It is the same object,
+         *     see ItemMap.
+         * @param name updated name for the item.
+         * @param options options of the request, such as a signal to abort it,
+         *      see callServerMethod() (optional)
+         * @return a promise for the updated item
+         */
+        that.renameItem = function(callback, name, options) {
+            var params = { 'name' :  name, 'id' : this.id };
+
+            if (!name) {
+                return rejected(PutioError("A name is required to rename an item",
+                    '/files', 'rename', params, PutioError.ARGUMENT));
+            }
+
+            var item = this.getApi().items.adopt(this);
+
+            return this.getApi().callServerMethod('/files', 'rename', callback,
+                params, function(results) {
+                    /* Update the item, the answer may only have the id and name */
+                    return createItem(item.getApi(), extend(item, first(results)));
+                }, options);
+        };
+        
+        /**
+         * Moves the item to another folder. target_id = 0 is the root folder.
+         * Passes the updated item to the provided callback.
+         *
+         * @param callback function([Item Object]) where the updated Item will
+         *     be passed if the request succeds.
+         * @param target_id id of the target folder. Defaults to 0.
+         * @param options options of the request, such as a signal to abort it,
+         *      see callServerMethod() (optional)
+         * @return a promise for the updated item
+         */
+        that.moveItem = function(callback, target_id, options) {
+            target_id = target_id || 0;
+
+            var params = {'id' : this.id, 'parent_id' : target_id };
+            var item = this.getApi().items.adopt(this);
+
+            return this.getApi().callServerMethod('/files', 'move', callback,
+                params, function(results) {
+                    /* Update the item, the answer may only have the id and parent */
+                    return createItem(item.getApi(), extend(item, first(results)));
+                }, options);
+        };
+        
+        /**
+         * Destroys the item permanently. Calls the callback function
+         * if the request was succesfull
+         *
+         * @param callback function([boolean]) that will be called if the 
+         *     request succeeds.
+         * @param options options of the request, such as a signal to abort it,
+         *      see callServerMethod() (optional)
+         * @return a promise for true
+         */  
+        that.remove = function(callback, options) {
+            var params = { 'id' : this.id };
+            var item = this;
+
+            return this.getApi().callServerMethod('/files', 'delete', callback,
+                params, function(results) {
+                    item.getApi().emit('item:removed', { id : item.id, item : item });
+                    return true;
+                }, options);
+        };
+        
+        /**
+         * Refreshes the items attributes.  Useful for folders, because folders
+         * can be updated via subscriptions in the background. It passes the 
+         * updated item to the callback function.
+         *
+         * @param callback function([Item Object]) where the updated item 
+         *     will be passed if the request succeeds.
+         * @param options options of the request, such as a signal to abort it,
+         *      see callServerMethod() (optional)
+         * @return a promise for the updated item
+         */
+        that.updateInfo = function(callback, options) {
+            var params = { 'id' : this.id };
+            var item = this.getApi().items.adopt(this);
+
+            return this.getApi().callServerMethod('/files', 'info', callback,
+                params, function(results) {
+                    /* Update values in the current item, see ItemMap */
+                    return createItem(item.getApi(), first(results));
+                }, options);
+        };
+        
+        /**
+         * @return a string with the download url or null if the item is a folder.
+         *      The url has no credentials, use fetchDownloadUrl() to get one 
+         *      that can be opened outside the application.
+         */
+        that.getDownloadUrl = function() {
+            if (this.is_dir) {
+                return null;
+            }
+            
+            return this.download_url;
+        };
+
+        /**
+         * Passes the download url of the item, with a valid access token, to 
+         * the callback, requesting a token if needed. The token expires, so 
+         * the url does not give access to the account once shared.
+         *
+         * @param callback function(url) where the download url will be passed
+         * @return a promise for the download url, rejected if the item is a
+         *      folder or no token could be obtained
+         */
+        that.fetchDownloadUrl = function(callback) {
+            return accessUrl(this, this.download_url, callback, true);
+        };
+        
+        /**
+         * @return the stream url of the item. If the item is a folder, then null will be returned.
+         *      the item is assumed to be updated. Null is also returned if the api has no
+         *      valid access token yet, use fetchStreamUrl() to wait for one.
+         */
+        that.getStreamUrl = function() {
+            var token = this.getApi().tokens.peek();
+            if (this.is_dir || !this.stream_url || !token) {
+                return null;
+            }
+
+            var sturl = this.getApi().backend.streamUrl(this.stream_url, token);
+            return sturl;
+        };
+
+        /**
+         * Passes the stream url of the item to the callback once the api has a
+         * valid access token, requesting one if needed.
+         *
+         * @param callback function(url) where the stream url will be passed
+         * @return a promise for the stream url, rejected if the item cannot be 
+         *      streamed or no token could be obtained
+         */
+        that.fetchStreamUrl = function(callback) {
+            return accessUrl(this, this.stream_url, callback, false);
+        };
+
+        /**
+         * Same as fetchStreamUrl(), for the mp4 version of the item.
+         *
+         * @param callback function(url) where the mp4 stream url will be passed
+         * @return a promise for the mp4 stream url
+         */
+        that.fetchMp4StreamUrl = function(callback) {
+            return accessUrl(this, this.mp4_stream_url, callback, false);
+        };
+        
+        /**
+         * Gets the folder that contains the item.
+         *
+         * @param callback function(folder) where the parent folder will be passed
+         * @param options options of the requests, such as a signal to abort 
+         *      them, see callServerMethod() (optional)
+         * @return a promise for the parent Folder, or for null if the item is
+         *      the root folder
+         */
+        that.getParent = function(callback, options) {
+            var item = this;
+            var api = this.getApi();
+
+            function parentOf(parent_id) {
+                if (!parent_id || String(parent_id) === '0') {
+                    var root = rootFolder(api);
+                    invoke(callback, root);
+                    return resolved(root);
+                }
+                return api.getItem(callback, parent_id, null, options);
+            }
+
+            if (String(this.id) === '0') {
+                invoke(callback, null);
+                return resolved(null);
+            }
+
+            /* Folders of getFolderList() do not know their parent */
+            if (this.parent_id === undefined || this.parent_id === null) {
+                return handled(this.updateInfo(null, options).then(function() {
+                    return parentOf(item.parent_id);
+                }));
+            }
+
+            return parentOf(this.parent_id);
+        };
+
+        /**
+         * @return true if the item is a video without an mp4 version, and 
+         *      the backend of the api can convert it. The v1 api has no 
+         *      conversion, only the v2 one does.
+         */
+        that.canCreateMp4 = function() {
+            var backend = this.getApi().backend;
+            return this.type === 'movie' && !this.mp4_stream_url && 
+                typeof backend.supports === 'function' && 
+                backend.supports('/files', 'convert_mp4');
+        };
+
+        /**
+         * Asks the server to convert the item to mp4, so videos that the 
+         * device cannot play can be streamed. Follow the conversion with 
+         * waitForMp4(). Only available with the v2 backend, see 
+         * canCreateMp4(); with the others the promise is rejected with a 
+         * PutioError of kind PutioError.ARGUMENT.
+         *
+         * @param callback function(conversion) where the Mp4Conversion will
+         *      be passed
+         * @param options options of the request, such as a signal to abort it,
+         *      see callServerMethod() (optional)
+         * @return a promise for the Mp4Conversion
+         */
+        that.createMp4 = function(callback, options) {
+            var params = { 'id' : this.id };
+            var api = this.getApi();
+
+            return api.callServerMethod('/files', 'convert_mp4', callback,
+                params, function(results) {
+                    return Mp4Conversion(api, extend({ id : params.id }, first(results)));
+                }, options);
+        };
+
+        /**
+         * Gets the state of the mp4 conversion of the item.
+         *
+         * @param callback function(conversion) where the Mp4Conversion will
+         *      be passed
+         * @param options options of the request, such as a signal to abort it,
+         *      see callServerMethod() (optional)
+         * @return a promise for the Mp4Conversion
+         */
+        that.getMp4Status = function(callback, options) {
+            var params = { 'id' : this.id };
+            var api = this.getApi();
+
+            return api.callServerMethod('/files', 'mp4', callback,
+                params, function(results) {
+                    return Mp4Conversion(api, extend({ id : params.id }, first(results)));
+                }, options);
+        };
+
+        /**
+         * Checks the mp4 conversion of the item every interval until it is 
+         * done, then updates the item, that gets its mp4_stream_url. 
+         *
+         * Example:
+         *
+         *     item.createMp4().then(function() {
+         *         return item.waitForMp4(null, { on_progress : function(conversion) {
+         *             show_progress(conversion.percent_done);
+         *         }});
+         *     }).then(function(item) {
+         *         item.fetchMp4StreamUrl(play);
+         *     });
+         *
+         * @param callback function(item) where the updated item will be passed
+         * @param options object with the optional attributes:
+         *      interval: time between two checks, in milliseconds. Defaults 
+         *          to DEFAULT_MP4_POLL_INTERVAL.
+         *      on_progress: function(conversion) called with every 
+         *          Mp4Conversion received
+         *      signal: AbortSignal-style object that stops waiting, see onAbort
+         * @return a promise for the updated item, with an abort() method. It
+         *      is rejected with a PutioError of kind PutioError.API if the 
+         *      conversion failed or was never requested.
+         */
+        that.waitForMp4 = function(callback, options) {
+            options = options || {};
+
+            var item = this.getApi().items.adopt(this);
+            var interval = options.interval || DEFAULT_MP4_POLL_INTERVAL;
+            var current = null;
+            var timer = null;
+            var stopped = false;
+            var finish, fail;
+
+            function abort() {
+                if (stopped) {
+                    return;
+                }
+                stopped = true;
+
+                clearTimeout(timer);
+                if (current) {
+                    current.abort();
+                }
+                fail(PutioError("The request was aborted", '/files', 'mp4', 
+                    { 'id' : item.id }, PutioError.ABORT));
+            }
+
+            function check() {
+                current = item.getMp4Status();
+                current.then(function(conversion) {
+                    if (stopped) {
+                        return;
+                    }
+                    invoke(options.on_progress, conversion);
+
+                    if (conversion.isReady()) {
+                        current = item.updateInfo();
+                        current.then(function(updated) {
+                            if (!stopped) {
+                                stopped = true;
+                                finish(updated);
+                                invoke(callback, updated);
+                            }
+                        }, fail);
+                    } else if (conversion.isConverting()) {
+                        timer = setTimeout(check, interval);
+                    } else {
+                        stopped = true;
+                        fail(PutioError(conversion.status === Mp4Conversion.ERROR ?
+                            "The mp4 conversion failed" : "No mp4 conversion was requested",
+                            '/files', 'mp4', { 'id' : item.id }, PutioError.API));
+                    }
+                }, function(error) {
+                    if (!stopped) {
+                        stopped = true;
+                        fail(error);
+                    }
+                });
+            }
+
+            var promise = handled(newPromise(function(resolve, reject) {
+                finish = resolve;
+                fail = reject;
+            }));
+
+            var unlisten = onAbort(options.signal, abort);
+            promise.then(unlisten, unlisten);
+
+            /* Nothing is requested if the signal was already aborted */
+            if (!stopped) {
+                check();
+            }
+            return abortable(promise, abort);
+        };
+        
+        return that;
+    }
+
+    defineModel(Item, 'Item', {
+        id : 'id',
+        name : 'string',
+        type : 'string?',
+        size : 'number?',
+        is_dir : 'boolean?',
+        parent_id : 'id?',
+        screenshot_url : 'string?',
+        thumb_url : 'string?',
+        file_icon_url : 'string?',
+        download_url : 'string?',
+        stream_url : 'string?',
+        mp4_stream_url : 'string?'
+    });
+    
+    
+    /**
+     * Folders inherit from item. Check Item class documentation for more info.
+     *
+     * Folder Methods:
+     *
+     *     folder.createFolder()
+     *     folder.getItems()
+     *     folder.getChildren()
+     *     folder.walk()
+     *     folder.summarize()
+     * 
+     * Sample:
+     *      
+     *     folder.id               =  4394
+     *     folder.name             =  "Billie Ray Martin The Crackdown Project"
+     *     folder.type             =  "folder"
+     *     folder.size             =  23472048
+     *     folder.is_dir           =  True
+     *     folder.parent_id        =  0
+     *     folder.screenshot_url   =  "/images/file_types/file.png"
+     *     folder.thumb_url        =  "/images/file_types/file.png"
+     *     folder.file_icon_url    =  "/images/file_types/folder.png"
+     *     folder.folder_icon_url  =  ""
+     *     folder.download_url     =  "http://XX.put.io/download-file/17/4394"
+     *     folder.zip_url          =  "http://XX.put.io/stream-basket/17/4394"
+     */
+    function Folder(api, args) {
+        var that = Item(api, args, Folder); //inherit from item
+
+        /**
+         * Create a new folder under the current one. Makes use of api.create_folder()
+         *
+         * @param callback function where the created folder will be passed
+         * @param name name for the new folder. Defaults to 'New Folder'
+         * @param options options of the request, such as signal, see 
+         *      api.createFolder() (optional)
+         * @return a promise for the created folder
+         */
+        that.createFolder = function(callback, name, options) {
+            return this.getApi().createFolder(callback, name, this.id, options);
+        };
+
+        /**
+         * Lists the items of the folder, see api.getItems()
+         *
+         * @param callback function(items) where the list of items will be passed
+         * @param options options of the request, such as signal, see 
+         *      api.getItems() (optional)
+         * @return a promise for the list of items
+         */
+        that.getItems = function(callback, limit, offset, args, options) {
+            return this.getApi().getItems(callback, this.id, limit, offset, args, options);
+        };
+
+        /**
+         * Gets all the items of the folder, however many pages they take. See
+         * api.getAllItems() for the options.
+         *
+         * @param callback function(items) where the complete list will be passed
+         * @param options page_size, args and signal (optional)
+         * @return a promise for the list of items, with an abort() method
+         */
+        that.getChildren = function(callback, options) {
+            return this.getApi().getAllItems(callback, this.id, options);
+        };
+
+        /**
+         * Lists the folder and its subfolders and passes every item to the
+         * visitor. See walkFolder() for the options.
+         *
+         * Example, the movies of the folder and its subfolders:
+         *
+         *     folder.walk(function(item, info) {
+         *         alert(item.name + ' is ' + info.depth + ' levels down');
+         *     }, { types : ['movie'], maxDepth : 3 });
+         *
+         * @param visitor function(item, info) called for every item found
+         * @param options maxDepth, types, concurrency, page_size and signal
+         *      (optional)
+         * @return a promise for the number of items visited, with an abort()
+         *      method
+         */
+        that.walk = function(visitor, options) {
+            return walkFolder(this.getApi(), this.id, visitor, options);
+        };
+
+        /**
+         * Adds up the size of the files of the folder and its subfolders,
+         * by type, and finds the largest ones. See summarizeFolder().
+         *
+         * Example, to find what to delete when the disk gets full:
+         *
+         *     api.getRootFolder().summarize(function(summary) {
+         *         alert(summary.largest[0].name + ' takes the most space');
+         *     });
+         *
+         * @param callback function(summary) where the summary will be passed
+         * @param options largest and the options of walk() (optional)
+         * @return a promise for the summary, with an abort() method
+         */
+        that.summarize = function(callback, options) {
+            var summary = summarizeFolder(this.getApi(), this.id, options);
+            return abortable(handled(summary.then(function(result) {
+                invoke(callback, result);
+                return result;
+            })), summary.abort);
+        };
+        
+        return that;
+    }
+
+    /**
+     * State of the mp4 conversion of an item, see item.createMp4().
+     *
+     * Mp4Conversion Methods:
+     *
+     *     conversion.isReady()
+     *     conversion.isConverting()
+     *
+     * Mp4Conversion Attributes:
+     *
+     *     conversion.id            id of the item
+     *     conversion.status        one of the statuses below
+     *     conversion.percent_done  progress of the conversion, from 0 to 100
+     *     conversion.size          size of the mp4, once converted
+     *
+     * Statuses:
+     *
+     *     Mp4Conversion.NOT_AVAILABLE  no conversion was requested
+     *     Mp4Conversion.IN_QUEUE       waiting to be converted
+     *     Mp4Conversion.CONVERTING     being converted
+     *     Mp4Conversion.COMPLETED      the mp4 can be streamed
+     *     Mp4Conversion.ERROR          the conversion failed
+     */
+    function Mp4Conversion(api, args) {
+        var that = BaseApiObj(api, args, Mp4Conversion);
+
+        /**
+         * @return true if the mp4 can be streamed
+         */
+        that.isReady = function() {
+            return this.status === Mp4Conversion.COMPLETED;
+        };
+
+        /**
+         * @return true while the conversion is waiting or running
+         */
+        that.isConverting = function() {
+            return this.status === Mp4Conversion.IN_QUEUE || 
+                this.status === Mp4Conversion.CONVERTING;
+        };
+
+        return that;
+    }
+
+    defineModel(Mp4Conversion, 'Mp4Conversion', {
+        id : 'id',
+        status : 'string',
+        percent_done : 'number?',
+        size : 'number?'
+    });
+
+    Mp4Conversion.NOT_AVAILABLE = 'NOT_AVAILABLE';
+    Mp4Conversion.IN_QUEUE = 'IN_QUEUE';
+    Mp4Conversion.CONVERTING = 'CONVERTING';
+    Mp4Conversion.COMPLETED = 'COMPLETED';
+    Mp4Conversion.ERROR = 'ERROR';
+
+    /* Folders of getFolderList() only have an id, a name and a parent_id */
+    defineModel(Folder, 'Folder', {
+        id : 'id',
+        name : 'string',
+        size : 'number?',
+        is_dir : 'boolean?',
+        parent_id : 'id?'
+    }, Item);
+
+    /**
+     * Creates the model of an item returned by the server: a Folder for
+     * directories, an Item for files. Every method of the library that
+     * lists or gets items uses it, so listed folders can be browsed:
+     *
+     *     api.getItems(function(items) {
+     *         if (items[0] instanceof putio.Folder) {
+     *             items[0].getItems(show_items);
+     *         }
+     *     });
+     *
+     * @param api the Api instance
+     * @param args attributes of the item returned by the server
+     * @return a Folder or an Item
+     */
+    function createItem(api, args) {
+        if (args && (convertValue('boolean', args.is_dir) === true || 
+                args.type === 'folder')) {
+            return api.items.merge(Folder(api, args));
+        }
+        return api.items.merge(Item(api, args));
+    }
+
+    /**
+     * @return true if both attribute values are the same
+     */
+    function sameValue(a, b) {
+        if (a === b) {
+            return true;
+        }
+        return typeof a === 'object' && typeof b === 'object' && a !== null && 
+            b !== null && JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    /**
+     * Keeps a single object for every item of an Api instance, so the same
+     * file listed by getItems(), got with getItem() and found with 
+     * searchItems() is one object. Fresh data from the server is merged 
+     * into the object the application already holds, and the attributes 
+     * that changed are notified with the item:changed event of the api:
+     *
+     *     api.on('item:changed', function(event) {
+     *         $('#item-' + event.id).text(event.item.name);
+     *     });
+     *
+     * Deleted items are forgotten. Objects created with putio.Item() or
+     * putio.Folder() join the map when one of their methods calls the server.
+     *
+     * Available as api.items:
+     *
+     *     api.items.get(id)        the object of the item, or undefined
+     *     api.items.merge(item)    merges a new object into the one of the 
+     *                              same id, and returns the one kept
+     *     api.items.adopt(item)    the object kept for the id of item, item 
+     *                              itself if there was none
+     *     api.items.update(id, changes)  sets attributes of the item, and
+     *                              notifies them even if it is not loaded
+     *     api.items.forget(id)     drops the item
+     *     api.items.clear()        drops every item
+     *     api.items.size()         number of items kept
+     *
+     * @param api the Api instance
+     */
+    function ItemMap(api) {
+        var items = {};
+        var count = 0;
+
+        /* Prefixed, so ids never clash with Object.prototype */
+        function key(id) {
+            return 'id:' + id;
+        }
+
+        var that = {
+            get : function(id) {
+                return items.hasOwnProperty(key(id)) ? items[key(id)] : undefined;
+            },
+
+            merge : function(fresh) {
+                var item = this.get(fresh.id);
+                var changes = {};
+                var changed = false;
+                var name;
+
+                /* New items, and files that became folders, are kept as they are */
+                if (!item || (fresh instanceof Folder && !(item instanceof Folder))) {
+                    if (!item) {
+                        count++;
+                    }
+                    items[key(fresh.id)] = fresh;
+                    return fresh;
+                }
+
+                for (name in fresh) {
+                    if (fresh.hasOwnProperty(name) && typeof fresh[name] !== 'function' &&
+                            !sameValue(item[name], fresh[name])) {
+                        item[name] = fresh[name];
+                        changes[name] = fresh[name];
+                        changed = true;
+                    }
+                }
+
+                if (changed) {
+                    api.emit('item:changed', { id : item.id, item : item, changes : changes });
+                }
+                return item;
+            },
+
+            adopt : function(item) {
+                var kept = this.get(item.id);
+                if (kept) {
+                    return kept;
+                }
+                count++;
+                items[key(item.id)] = item;
+                return item;
+            },
+
+            update : function(id, changes) {
+                var item = this.get(id) || null;
+                var name;
+
+                if (item) {
+                    for (name in changes) {
+                        if (changes.hasOwnProperty(name)) {
+                            item[name] = changes[name];
+                        }
+                    }
+                }
+                api.emit('item:changed', { id : id, item : item, changes : changes });
+            },
+
+            forget : function(id) {
+                if (items.hasOwnProperty(key(id))) {
+                    delete items[key(id)];
+                    count--;
+                }
+            },
+
+            clear : function() {
+                items = {};
+                count = 0;
+            },
+
+            size : function() {
+                return count;
+            }
+        };
+
+        api.on('item:removed', function(event) {
+            that.forget(event.id);
+        });
+
+        return that;
+    }
+
+    /**
+     * Compares two names in natural order, where the numbers they contain 
+     * are compared by value: "Episode 2" comes before "Episode 10". Case is
+     * ignored.
+     *
+     * @return a negative number if a comes first, a positive number if b 
+     *      comes first, 0 if they are the same
+     */
+    function naturalCompare(a, b) {
+        var x = String(a).toLowerCase().match(/\d+|\D+/g) || [];
+        var y = String(b).toLowerCase().match(/\d+|\D+/g) || [];
+
+        for (var k = 0; k < x.length && k < y.length; k++) {
+            if (x[k] === y[k]) {
+                continue;
+            }
+            if (/^\d/.test(x[k]) && /^\d/.test(y[k]) && Number(x[k]) !== Number(y[k])) {
+                return Number(x[k]) < Number(y[k]) ? -1 : 1;
+            }
+            return x[k] < y[k] ? -1 : 1;
+        }
+        return x.length - y.length;
+    }
+
+    /**
+     * @return the value of the item compared for the order, null when the 
+     *     item has no size or date (the v1 listings have no date)
+     */
+    function orderValue(item, by) {
+        var value;
+        if (by === 'size' || by === 'date') {
+            value = by === 'size' ? item.size : item.createdat;
+            if (value === undefined || value === null || value === '' || isNaN(Number(value))) {
+                return null;
+            }
+            return Number(value);
+        }
+        if (by === 'type') {
+            return FILETYPES[item.type] === undefined ? Infinity : FILETYPES[item.type];
+        }
+        return item.name;
+    }
+
+    /**
+     * Sorts a listing. The sort is stable, so a listing already sorted by 
+     * the server keeps its order.
+     *
+     * Example:
+     *     items = putio.sortItems(items, { by : 'size', direction : 'desc' });
+     *
+     * @param items list of items, or of objects with their attributes
+     * @param order object with the optional attributes:
+     *      by: 'name' (default, in natural order, see naturalCompare()), 
+     *          'size', 'date' or 'type'. Items with the same size, date or 
+     *          type are sorted by name. Items without a size or date are 
+     *          listed after the others and keep the order of the server.
+     *      direction: 'asc' (default) or 'desc'
+     *      folders_first: true to list the folders before the files
+     * @return a sorted copy of the list
+     */
+    function sortItems(items, order) {
+        order = order || {};
+
+        var by = ITEM_ORDERS.hasOwnProperty(order.by) ? order.by : 'name';
+        var sign = order.direction === 'desc' ? -1 : 1;
+        var entries = [];
+        var sorted = [];
+        var k;
+
+        for (k = 0; k < items.length; k++) {
+            entries[k] = { item : items[k], index : k, value : orderValue(items[k], by),
+                folder : convertValue('boolean', items[k].is_dir) === true || 
+                    items[k].type === 'folder' };
+        }
+
+        entries.sort(function(a, b) {
+            var result = 0;
+            if (order.folders_first && a.folder !== b.folder) {
+                return a.folder ? -1 : 1;
+            }
+            if (by === 'name') {
+                result = naturalCompare(a.value, b.value) * sign;
+            } else if (a.value === null || b.value === null) {
+                result = (a.value === null) - (b.value === null);
+            } else if (a.value !== b.value) {
+                result = (a.value < b.value ? -1 : 1) * sign;
+            } else {
+                result = naturalCompare(a.item.name, b.item.name);
+            }
+            return result || a.index - b.index;
+        });
+
+        for (k = 0; k < entries.length; k++) {
+            sorted[k] = entries[k].item;
+        }
+        return sorted;
+    }
+
+    /**
+     * Keeps the items of the given FILETYPES types. Folders are always 
+     * kept, so the listing can still be browsed.
+     *
+     * @param items list of items
+     * @param types list of type names, for instance ['movie', 'audio']. An
+     *      empty list, or none, keeps every item.
+     * @return the filtered list
+     */
+    function filterItems(items, types) {
+        var kept = [];
+        var wanted = {};
+        var k;
+
+        if (!types || types.length === 0) {
+            return items.slice(0);
+        }
+
+        for (k = 0; k < types.length; k++) {
+            fileTypeToInt(types[k]);
+            wanted[types[k]] = true;
+        }
+        for (k = 0; k < items.length; k++) {
+            if (wanted[items[k].type] || items[k].type === 'folder' || 
+                    convertValue('boolean', items[k].is_dir) === true) {
+                kept[kept.length] = items[k];
+            }
+        }
+        return kept;
+    }
+
+    /**
+     * Compares two listings of a folder, matching their items by id. The
+     * listings are lists of items, or of plain objects with the attributes
+     * of the items, as stored with toJSON().
+     *
+     * Example:
+     *     var diff = putio.diffItems(stored_items, items);
+     *     for (var i = 0; i < diff.changed.length; i++) {
+     *         alert(diff.changed[i].previous.name + ' is now ' + 
+     *             diff.changed[i].item.name);
+     *     }
+     *
+     * @param before the older listing
+     * @param after the newer listing
+     * @param fields attributes compared to tell if an item changed (optional,
+     *      defaults to DIFF_FIELDS: name, size and type)
+     * @return an object with the attributes:
+     *      added: items of after that are not in before
+     *      removed: items of before that are not in after
+     *      changed: list of {item, changes, previous} for the items of both
+     *          listings with different fields, where item is the one of 
+     *          after, changes has the new values and previous the old ones
+     */
+    function diffItems(before, after, fields) {
+        var diff = { added : [], removed : [], changed : [] };
+        var old = {};
+        var current = {};
+        var k, j, item, was, changes, previous, changed;
+
+        fields = fields || DIFF_FIELDS;
+        before = before || [];
+        after = after || [];
+
+        for (k = 0; k < before.length; k++) {
+            old['id:' + before[k].id] = before[k];
+        }
+
+        for (k = 0; k < after.length; k++) {
+            item = after[k];
+            current['id:' + item.id] = item;
+
+            if (!old.hasOwnProperty('id:' + item.id)) {
+                diff.added[diff.added.length] = item;
+                continue;
+            }
+
+            was = old['id:' + item.id];
+            changes = {};
+            previous = {};
+            changed = false;
+            for (j = 0; j < fields.length; j++) {
+                if (!sameValue(was[fields[j]], item[fields[j]])) {
+                    changes[fields[j]] = item[fields[j]];
+                    previous[fields[j]] = was[fields[j]];
+                    changed = true;
+                }
+            }
+            if (changed) {
+                diff.changed[diff.changed.length] = { item : item, changes : changes, 
+                    previous : previous };
+            }
+        }
+
+        for (k = 0; k < before.length; k++) {
+            if (!current.hasOwnProperty('id:' + before[k].id)) {
+                diff.removed[diff.removed.length] = before[k];
+            }
+        }
+
+        return diff;
+    }
+
+    /**
+     * Lists a folder every interval and reports what changed since the last
+     * listing, see api.watchFolder(). Listings skip the response cache.
+     *
+     * The watcher emits, see Emitter:
+     *
+     *     added    {item} an item appeared in the folder
+     *     removed  {item} an item left the folder. item has the attributes
+     *              it had in the last listing.
+     *     changed  {item, changes, previous} an item was renamed or its 
+     *              size changed, see diffItems()
+     *     diff     the result of diffItems(), after the events above, when
+     *              something changed
+     *     error    {error} a listing failed. The watcher goes on.
+     *
+     * @param api the Api instance
+     * @param parent_id id of the folder
+     * @param interval time between the end of a listing and the next one, 
+     *      in milliseconds
+     * @param options page_size, args, fields, initial and signal, see 
+     *      api.watchFolder()
+     * @return the watcher
+     */
+    function FolderWatcher(api, parent_id, interval, options) {
+        var snapshot = null;
+        var timer = null;
+        var walk = null;
+        var stopped = false;
+        var unlisten = function() {};
+
+        var that = {
+            /**
+             * @var id of the watched folder
+             */
+            parent_id : parent_id || 0,
+
+            /**
+             * @var time between listings, in milliseconds
+             */
+            interval : interval || DEFAULT_WATCH_INTERVAL,
+
+            /**
+             * Lists the folder now instead of waiting for the interval
+             */
+            poll : function() {
+                if (stopped || walk) {
+                    return;
+                }
+                clearTimeout(timer);
+                poll();
+            },
+
+            /**
+             * Stops watching, aborting the listing in progress
+             */
+            stop : function() {
+                stopped = true;
+                clearTimeout(timer);
+                if (walk) {
+                    walk.abort();
+                }
+                unlisten();
+            },
+
+            /**
+             * @return true until stop() is called
+             */
+            isWatching : function() {
+                return !stopped;
+            }
+        };
+
+        Emitter(that);
+
+        function report(diff) {
+            var k;
+            for (k = 0; k < diff.added.length; k++) {
+                that.emit('added', { item : diff.added[k] });
+            }
+            for (k = 0; k < diff.removed.length; k++) {
+                that.emit('removed', { item : diff.removed[k] });
+            }
+            for (k = 0; k < diff.changed.length; k++) {
+                that.emit('changed', diff.changed[k]);
+            }
+            if (diff.added.length || diff.removed.length || diff.changed.length) {
+                that.emit('diff', diff);
+            }
+        }
+
+        function next() {
+            walk = null;
+            if (!stopped) {
+                timer = setTimeout(poll, that.interval);
+            }
+        }
+
+        function poll() {
+            var items = [];
+
+            walk = walkPages(function(limit, offset) {
+                return api.callServerMethod('/files', 'list', null, 
+                    listParams(that.parent_id, limit, offset, options.args), 
+                    function(results, response) {
+                        return { items : itemList(api, results), total : response.total };
+                    }, { cache : false });
+            }, function(page) {
+                items = items.concat(page);
+            }, { page_size : options.page_size });
+
+            walk.then(function() {
+                var k, listing = [];
+
+                if (stopped) {
+                    return;
+                }
+
+                /* Keep copies, the items themselves are updated in place */
+                for (k = 0; k < items.length; k++) {
+                    listing[listing.length] = attributesOf(items[k]);
+                }
+
+                if (snapshot || options.initial) {
+                    var diff = diffItems(snapshot || [], listing, options.fields);
+
+                    /* Report the current objects, not the copies */
+                    for (k = 0; k < diff.added.length; k++) {
+                        diff.added[k] = items[indexOf(listing, diff.added[k])];
+                    }
+                    for (k = 0; k < diff.changed.length; k++) {
+                        diff.changed[k].item = items[indexOf(listing, diff.changed[k].item)];
+                    }
+                    snapshot = listing;
+                    report(diff);
+                } else {
+                    snapshot = listing;
+                }
+                next();
+            }, function(error) {
+                if (!stopped) {
+                    that.emit('error', { error : error });
+                }
+                next();
+            });
+        }
+
+        function indexOf(list, element) {
+            for (var k = 0; k < list.length; k++) {
+                if (list[k] === element) {
+                    return k;
+                }
+            }
+            return -1;
+        }
+
+        unlisten = onAbort(options.signal, that.stop);
+        if (!stopped) {
+            timer = setTimeout(poll, 0);
+        }
+
+        return that;
+    }
+
+    /**
+     * Lists a folder and its subfolders, with at most concurrency listings
+     * at the same time, and passes every item to the visitor. Folders are 
+     * listed breadth first, so items come in no particular order.
+     *
+     * @param api the Api instance
+     * @param folder_id id of the folder to walk
+     * @param visitor function(item, info) called for every item found, where
+     *      info has the attributes depth (1 for the items of the folder) and
+     *      parent (id of the folder of the item). Returning false for a 
+     *      folder skips its content.
+     * @param options object with the optional attributes:
+     *      maxDepth: number of levels to list, 1 lists only the folder. 
+     *          Defaults to no limit.
+     *      types: list of FILETYPES names, for instance ['movie', 'audio'].
+     *          The visitor only gets the items of these types, but every 
+     *          folder is still listed.
+     *      concurrency: maximum number of listings at the same time, defaults
+     *          to DEFAULT_BULK_CONCURRENCY
+     *      page_size: number of items per request, see api.getAllItems()
+     *      signal: AbortSignal-style object that stops the walk, see onAbort
+     * @return a promise for the number of items visited, with an abort() 
+     *      method. It is rejected if a folder cannot be listed.
+     */
+    function walkFolder(api, folder_id, visitor, options) {
+        options = options || {};
+
+        var max_depth = typeof options.maxDepth === 'number' ? options.maxDepth : Infinity;
+        var concurrency = Math.max(1, options.concurrency || DEFAULT_BULK_CONCURRENCY);
+        var types = null;
+        var queue = [{ id : folder_id, depth : 1 }];
+        var running = [];
+        var visited = 0;
+        var aborted = false;
+        var finish, fail;
+
+        if (options.types) {
+            types = {};
+            for (var k = 0; k < options.types.length; k++) {
+                if (FILETYPES[options.types[k]] === undefined) {
+                    return abortable(rejected(PutioError("Unknown type " + options.types[k],
+                        '/files', 'list', { 'id' : folder_id }, PutioError.ARGUMENT)), function() {});
+                }
+                types[options.types[k]] = true;
+            }
+        }
+
+        function stop(error) {
+            if (aborted) {
+                return;
+            }
+            aborted = true;
+            queue = [];
+            for (var k = 0; k < running.length; k++) {
+                running[k].abort();
+            }
+            fail(error);
+        }
+
+        function visit(item, entry) {
+            var result;
+            if (!types || types[item.type]) {
+                visited++;
+                result = visitor(item, { depth : entry.depth, parent : entry.id });
+            }
+            if (item instanceof Folder && result !== false && entry.depth < max_depth) {
+                queue[queue.length] = { id : item.id, depth : entry.depth + 1 };
+            }
+        }
+
+        function next() {
+            if (aborted) {
+                return;
+            }
+            if (queue.length === 0 && running.length === 0) {
+                finish(visited);
+                return;
+            }
+
+            while (queue.length > 0 && running.length < concurrency) {
+                list(queue.shift());
+            }
+        }
+
+        function list(entry) {
+            var listing = api.getAllItems(null, entry.id, { page_size : options.page_size });
+
+            running[running.length] = listing;
+            listing.then(function(items) {
+                if (aborted) {
+                    return;
+                }
+                running.splice(indexOf(listing), 1);
+                try {
+                    for (var k = 0; k < items.length; k++) {
+                        visit(items[k], entry);
+                    }
+                } catch (e) {
+                    stop(e);
+                    return;
+                }
+                next();
+            }, function(error) {
+                stop(error);
+            });
+        }
+
+        function indexOf(listing) {
+            for (var k = 0; k < running.length; k++) {
+                if (running[k] === listing) {
+                    return k;
+                }
+            }
+            return -1;
+        }
+
+        var promise = handled(newPromise(function(resolve, reject) {
+            finish = resolve;
+            fail = reject;
+        }));
+
+        var unlisten = onAbort(options.signal, function() {
+            stop(PutioError("The request was aborted", '/files', 'list', 
+                { 'id' : folder_id }, PutioError.ABORT));
+        });
+        promise.then(unlisten, unlisten);
+
+        next();
+        return abortable(promise, function() {
+            stop(PutioError("The request was aborted", '/files', 'list', 
+                { 'id' : folder_id }, PutioError.ABORT));
+        });
+    }
+
+    /**
+     * Walks a folder, see walkFolder(), and adds up what its files take:
+     *
+     *     {
+     *         size : 5871243,      total size of the files, in bytes
+     *         files : 14,          number of files
+     *         folders : 3,         number of subfolders
+     *         types : { 'audio' : 12, 'image' : 2, ... }  number of files 
+     *                              of every FILETYPES type
+     *         sizes : { 'audio' : 5120000, ... }  size of the files of 
+     *                              every type
+     *         largest : [items]    largest files, biggest first
+     *     }
+     *
+     * @param api the Api instance
+     * @param folder_id id of the folder
+     * @param options options of walkFolder(), and largest: number of largest
+     *      files to report, defaults to DEFAULT_LARGEST_FILES
+     * @return a promise for the summary, with an abort() method
+     */
+    function summarizeFolder(api, folder_id, options) {
+        options = options || {};
+
+        var count = typeof options.largest === 'number' ? options.largest : DEFAULT_LARGEST_FILES;
+        var summary = { size : 0, files : 0, folders : 0, types : {}, sizes : {}, largest : [] };
+
+        for (var type in FILETYPES) {
+            if (FILETYPES.hasOwnProperty(type) && type !== 'folder') {
+                summary.types[type] = 0;
+                summary.sizes[type] = 0;
+            }
+        }
+
+        /* Keep the largest files sorted, biggest first */
+        function rank(item) {
+            var k = summary.largest.length;
+            while (k > 0 && (summary.largest[k - 1].size || 0) < (item.size || 0)) {
+                k--;
+            }
+            if (k < count) {
+                summary.largest.splice(k, 0, item);
+                summary.largest.length = Math.min(summary.largest.length, count);
+            }
+        }
+
+        var walk = walkFolder(api, folder_id, function(item) {
+            if (item instanceof Folder) {
+                summary.folders++;
+                return;
+            }
+
+            var size = item.size || 0;
+            summary.size += size;
+            summary.files++;
+            summary.types[item.type] = (summary.types[item.type] || 0) + 1;
+            summary.sizes[item.type] = (summary.sizes[item.type] || 0) + size;
+            rank(item);
+        }, options);
+
+        return abortable(handled(walk.then(function() {
+            return summary;
+        })), walk.abort);
+    }
+
+    /**
+     * Storages for the operations of the journal, see Journal. A storage is 
+     * an object with the methods
+     *
+     *     storage.load(callback)  passes the saved operations, in order, to
+     *                             callback(operations)
+     *     storage.save(operations, callback)  replaces the saved operations,
+     *                             then calls callback() (optional)
+     */
+    var journalStorages = {
+        /**
+         * Keeps the operations in memory, so they are lost when the page is
+         * closed. This is the default storage.
+         */
+        memory : function() {
+            var saved = [];
+
+            return {
+                load : function(callback) {
+                    setTimeout(function() {
+                        callback(saved.slice(0));
+                    }, 0);
+                },
+
+                save : function(operations, callback) {
+                    saved = operations.slice(0);
+                    invoke(callback);
+                }
+            };
+        },
+
+        /**
+         * Keeps the operations in a WebSQL table, as PhoneGap applications 
+         * store their data.
+         *
+         * @param db database opened with window.openDatabase()
+         * @param table name of the table (optional, defaults to 
+         *      'putio_journal'). It is created if needed.
+         */
+        websql : function(db, table) {
+            table = table || 'putio_journal';
+
+            function createTable(tx) {
+                tx.executeSql('CREATE TABLE IF NOT EXISTS ' + table + 
+                    ' (position unique, operation text)');
+            }
+
+            return {
+                load : function(callback) {
+                    var operations = [];
+
+                    db.transaction(function(tx) {
+                        createTable(tx);
+                        tx.executeSql('SELECT operation FROM ' + table + ' ORDER BY position', [],
+                            function(tx, results) {
+                                for (var k = 0; k < results.rows.length; k++) {
+                                    operations[operations.length] = 
+                                        JSON.parse(results.rows.item(k).operation);
+                                }
+                            });
+                    }, function() {
+                        callback([]);
+                    }, function() {
+                        callback(operations);
+                    });
+                },
+
+                save : function(operations, callback) {
+                    db.transaction(function(tx) {
+                        createTable(tx);
+                        tx.executeSql('DELETE FROM ' + table);
+                        for (var k = 0; k < operations.length; k++) {
+                            tx.executeSql('INSERT INTO ' + table + ' (position, operation) VALUES (?, ?)',
+                                [k, JSON.stringify(operations[k])]);
+                        }
+                    }, function() {
+                        invoke(callback);
+                    }, function() {
+                        invoke(callback);
+                    });
+                }
+            };
+        }
+    };
+
+    /**
+     * Passes the results of a replayed operation through the models, so the
+     * identity map and the item events see the change, see ItemMap.
      */
-    function Transfer(api, args) {
-        var that = BaseApiObj(api, args);
+    function replayResults(api, operation, results) {
+        var key = operation.path + ' ' + operation.method;
 
-        /**
-         * Destroy this transfer object irreversibly
-         *
-         * @param callback function(success) to call when if the call succeeds
-         */
-        that.destroyTransfer = function(callback) {
-            var params = { 'id' : this.id };
+        if (key === '/files delete') {
+            api.emit('item:removed', { id : operation.params.id, 
+                item : api.items.get(operation.params.id) || null });
+            return true;
+        }
+        if (key === '/transfers add') {
+            var transfers = [];
+            for (var k = 0; k < results.length; k++) {
+                transfers[transfers.length] = Transfer(api, results[k]);
+            }
+            return transfers;
+        }
 
-            this.getApi().callServerMethod('/transfers', 'cancel', 
-                function(results) {
-                    if (callback) {
-                        callback(true);
+        /* The answer may only have the changed attributes, see renameItem() */
+        var item = api.items.get(operation.params.id);
+        if (item && results.length === 1) {
+            return [createItem(api, extend(item, results[0]))];
+        }
+        return itemList(api, results);
+    }
+
+    /**
+     * Keeps the renames, moves, deletions, new folders and new transfers 
+     * (see JOURNAL_METHODS) that could not reach the server, and sends them
+     * again, in order, once the application is back online. Enabled with 
+     * the journal option of Api, and available as api.journal.
+     *
+     * While api.journal.online is false, or when a call fails because the 
+     * server cannot be reached, the call is saved and rejected with a 
+     * PutioError of kind PutioError.OFFLINE, that has the saved operation 
+     * in error.operation. Operations are objects with the attributes id, 
+     * path, method, params, created (time in milliseconds), status 
+     * ('pending' or 'conflict') and error (message of the conflict).
+     *
+     * Example, with the Network Status plugin of PhoneGap:
+     *
+     *     var api = putio(KEY, SECRET, null, { journal : {
+     *         storage : putio.journalStorages.websql(db),
+     *         online : navigator.network.connection.type !== Connection.NONE
+     *     }});
+     *     document.addEventListener('offline', function() {
+     *         api.journal.setOnline(false);
+     *     }, false);
+     *     document.addEventListener('online', function() {
+     *         api.journal.setOnline(true);
+     *     }, false);
+     *     api.journal.on('conflict', function(event) {
+     *         alert(event.error.msg);
+     *     });
+     *
+     * Available as api.journal:
+     *
+     *     api.journal.online          false while the application is offline
+     *     api.journal.setOnline(online)  changes the status, and replays the
+     *                                 pending operations when back online
+     *     api.journal.replay()        sends the pending operations now
+     *     api.journal.operations()    copies of the saved operations, to 
+     *                                 review them
+     *     api.journal.discard(id)     drops an operation
+     *     api.journal.retry(id)       sends a conflicting operation again
+     *     api.journal.clear()         drops every operation
+     *
+     * Events, see Emitter:
+     *
+     *     recorded   {operation} a call was saved
+     *     replayed   {operation, results} a saved call succeeded
+     *     conflict   {operation, error} the server refused a saved call, for
+     *                instance because the target folder no longer exists. 
+     *                The operation stays in the journal until it is 
+     *                discarded or retried.
+     *     discarded  {operation} an operation was dropped
+     *
+     * @param api the Api instance
+     * @param options object with the optional attributes:
+     *      storage: where the operations are saved, see journalStorages. 
+     *          Defaults to memory.
+     *      online: initial status, defaults to true
+     *      listeners: object mapping event names to listeners, subscribed 
+     *          before the saved operations are replayed
+     */
+    function Journal(api, options) {
+        var storage = options.storage || journalStorages.memory();
+        var operations = [];
+        var loaded = false;
+        var replaying = null;
+        var count = 0;
+
+        function save() {
+            storage.save(operations);
+        }
+
+        function copy(operation) {
+            return JSON.parse(JSON.stringify(operation));
+        }
+
+        function find(id) {
+            for (var k = 0; k < operations.length; k++) {
+                if (operations[k].id === id) {
+                    return k;
+                }
+            }
+            return -1;
+        }
+
+        var that = {
+            /**
+             * @var false while the application is offline
+             */
+            online : options.online !== false,
+
+            /**
+             * @return true if calls to the method are kept in the journal
+             */
+            records : function(path, method) {
+                return JOURNAL_METHODS.hasOwnProperty(path + ' ' + method);
+            },
+
+            /**
+             * Saves a call to send it later
+             *
+             * @return a copy of the saved operation
+             */
+            record : function(path, method, params) {
+                var operation = {
+                    id : new Date().getTime() + '-' + (count++),
+                    path : path,
+                    method : method,
+                    params : params || {},
+                    created : new Date().getTime(),
+                    status : 'pending',
+                    error : null
+                };
+
+                operations[operations.length] = operation;
+                save();
+                this.emit('recorded', { operation : copy(operation) });
+                return copy(operation);
+            },
+
+            setOnline : function(online) {
+                this.online = !!online;
+                if (this.online) {
+                    this.replay();
+                }
+            },
+
+            operations : function() {
+                var list = [];
+                for (var k = 0; k < operations.length; k++) {
+                    list[list.length] = copy(operations[k]);
+                }
+                return list;
+            },
+
+            discard : function(id) {
+                var k = find(id);
+                if (k < 0) {
+                    return false;
+                }
+
+                var operation = operations.splice(k, 1)[0];
+                save();
+                this.emit('discarded', { operation : copy(operation) });
+                return true;
+            },
+
+            retry : function(id) {
+                var k = find(id);
+                if (k >= 0) {
+                    operations[k].status = 'pending';
+                    operations[k].error = null;
+                    save();
+                }
+                return this.replay();
+            },
+
+            clear : function() {
+                var list = operations;
+                operations = [];
+                save();
+                for (var k = 0; k < list.length; k++) {
+                    this.emit('discarded', { operation : copy(list[k]) });
+                }
+            },
+
+            /**
+             * Sends the pending operations, one after the other. It stops at
+             * the first one that cannot reach the server.
+             *
+             * @param callback function(result) called when done (optional)
+             * @return a promise for {replayed : [operations], conflicts : 
+             *      [operations]}
+             */
+            replay : function(callback) {
+                var result = { replayed : [], conflicts : [] };
+                var tried = {};
+                var finished = false;
+                var promise;
+
+                if (replaying || !loaded) {
+                    return replaying || resolved(result);
+                }
+
+                promise = newPromise(function(resolve) {
+                    function done() {
+                        finished = true;
+                        replaying = null;
+                        resolve(result);
+                        invoke(callback, result);
+                    }
+
+                    function next() {
+                        var operation = null;
+                        for (var k = 0; k < operations.length; k++) {
+                            if (operations[k].status === 'pending' && !tried[operations[k].id]) {
+                                operation = operations[k];
+                                break;
+                            }
+                        }
+
+                        if (!operation || !that.online) {
+                            done();
+                            return;
+                        }
+                        tried[operation.id] = true;
+
+                        api.callServerMethod(operation.path, operation.method, null, 
+                            operation.params, function(results) {
+                                return replayResults(api, operation, results);
+                            }, { journal : false }).then(function(results) {
+                                var k = find(operation.id);
+                                if (k >= 0) {
+                                    operations.splice(k, 1);
+                                    save();
+                                }
+                                result.replayed[result.replayed.length] = copy(operation);
+                                that.emit('replayed', { operation : copy(operation), 
+                                    results : results });
+                                next();
+                            }, function(error) {
+                                /* Still offline, or the server had a hiccup */
+                                if (error.kind === PutioError.ABORT || error.isRetryable()) {
+                                    done();
+                                    return;
+                                }
+
+                                operation.status = 'conflict';
+                                operation.error = error.msg;
+                                save();
+                                result.conflicts[result.conflicts.length] = copy(operation);
+                                that.emit('conflict', { operation : copy(operation), 
+                                    error : error });
+                                next();
+                            });
                     }
-                }, params);
+
+                    next();
+                });
+
+                /* Nothing to send, or offline: the replay is already done */
+                if (!finished) {
+                    replaying = promise;
+                }
+                return promise;
+            }
         };
-        
+
+        Emitter(that);
+        for (var name in options.listeners) {
+            if (options.listeners.hasOwnProperty(name)) {
+                that.on(name, options.listeners[name]);
+            }
+        }
+
+        /* Operations saved by a previous session are sent first */
+        storage.load(function(saved) {
+            operations = (saved || []).concat(operations);
+            loaded = true;
+            if (that.online) {
+                that.replay();
+            }
+        });
+
         return that;
     }
+
+    /**
+     * @return the root folder of the account, that the server does not 
+     *      describe
+     */
+    function rootFolder(api) {
+        return Folder(api, { id : 0, name : 'Your Files', type : 'folder', 
+            is_dir : true });
+    }
+    
     
     /**
-     * Url bucket is a completion of urls ready to fetch.
-     *
-     * UrlBucket Methods:
-     *     
-     *     bucket.add()
-     *     bucket.analyze_and_add_urls()
-     *     bucket.get_report()
-     *     bucket.fetch()
+     * Subscription Methods:
      * 
-     * Static Methods:
-     *     
-     *     extract_urls()
-     *     crawl_webpage()
+     *     edit()
+     *     delete()
+     *     toggle_status()
+     *     undate_info()
+     *     add_do_filters()
+     *     add_dont_filters()
      * 
-     * Abilities:
+     * 
+     * Subscription Attributes:
      *     
-     *     - Add urls to the bucket
-     *     - Get report of the bucket if you need to.
-     *     - Fetch the urls
+     *     subsitem.id                  (integer)
+     *     subsitem.url                 (string)
+     *     subsitem.name                (string)
+     *     subsitem.do_filters          (strings, seperated by commas)
+     *     subsitem.dont_filters        (strings, seperated by commas)
+     *     subsitem.parent_folder_id    (integer)
+     *     subsitem.last_update_time    (string)
+     *     subsitem.next_update_time    (string)
+     *     subsitem.paused              (boolean)
+     *  
+     * Example:
+     *     api.getSubscriptions(function(subscriptions) {
+     *         for (i in subscriptions) {
+     *             alert(subscriptions[i].name);
+     *         }
+     *     });
+     * 
+     * Sample Values:
      *     
-     *     You can also:
-     *     - Analyze urls and add
-     *     - Crawl a web page and extract URLs
-     *     - Extract URLs from a text block
-    */
-    function UrlBucket(api, singleurl, torrenturl, multiparturl) {
-        var that = BaseApiObj(api);
-
-        var _last_analyzed_bw_avail = null;
-        var _last_analyzed_disk_avail = null;
-        var _req_space = null;
-        var _paid_bw = null;
-
-        var _links = { multiparturl : [], torrenturl : [], singleurl : [], 
-            error : [] };
+     *     subsitem.id                =  860
+     *     subsitem.url               =  "http://legaltorrents.com/music/rss.xml"
+     *     subsitem.name              =  "Jazz Radio"
+     *     subsitem.do_filters        =  "jazz, mp3"
+     *     subsitem.dont_filters      =  "smooth, wav"
+     *     subsitem.parent_folder_id  =  234
+     *     subsitem.last_update_time  =  "2010-01-01 00:00"
+     *     subsitem.next_update_time  =  "2010-01-01 00:00"
+     *     subsitem.paused            =  False
+     */
+    function Subscription(api, args) {
+        var that = BaseApiObj(api, args, Subscription);
         
-        function _add(singleurl, torrenturl, multiparturl, error, info) {
-            singleurl = singleurl || [];
-            torrenturl = torrenturl || [];
-            multiparturl = multiparturl || [];
-            error = error || [];
-            info = info || [];
-
-            var k, l;
-            for (k in (l = [singleurl, torrenturl, multiparturl, error])) {
-                if (!isArray(l[k])) {
-                    throw "Add method takes only arrays as arguments";
+        /**
+         * Changes values in the subscription attributes.
+         *
+         * @param callback function([subscription Object]) where the updated subscription
+         *     will be passed if the request succeeds
+         * @param args list of arguments to modify
+         * @param options options of the request, such as a signal to abort it,
+         *      see callServerMethod() (optional)
+         * @return a promise for the updated subscription
+         */
+        that.edit = function(callback, args, options) {
+            // No sense in making an api call if there is nothing to change
+            if (!args || args.length === 0) {
+                invoke(callback, this);
+                return resolved(this);
+            }
+        
+            var params = { 'id' : this.id, 'title' : this.name, 'url' : this.url };
+            var key;             
+            for (key in args) {
+                if (args.hasOwnProperty(key)) {
+                    params[key] = args[key];
                 }
             }
 
-            for (k = 0; k < singleurl.length; k++) {
-                _links.singleurl[_links.singleurl.length] = singleurl[k];
-            }
+            /* Reference to this object to use in the callback */
+            var subscription = this;
 
-            for (k = 0; k < torrenturl.length; k++) {
-                _links.torrenturl[_links.torrenturl.length] = torrenturl[k];
-            }
+            return this.getApi().callServerMethod('/subscriptions', 'edit', callback,
+                params, function(results) {
+                    var key, info = first(results);
+                    var updated = Subscription(subscription.getApi(), info);
 
-            for (k = 0; k < multiparturl.length; k++) {
-                _links.multiparturl[_links.multiparturl.length] = multiparturl[k];
-            }
+                    /* Update values in the current subscription */
+                    for (key in info) {
+                        if (info.hasOwnProperty(key)) {
+                            subscription[key] = updated[key];
+                        }
+                    }
 
-            for (k = 0; k < error.length; k++) {
-                _links.error[_links.error.length] = error[k];
-            }
-            
-            if (info.length > 0) {
-                _last_analyzed_bw_avail = info.last_analyzed_bw_avail || 
-                    _last_analyzed_bw_avail;
-                _last_analyzed_disk_avail = info.last_analyzed_disk_avail || 
-                    _last_analyzed_disk_avail;
-                _req_space = info.req_space || _req_space;
-                _paid_bw = info.paid_bw || _paid_bw;
-            }
-        }
+                    /* Pass a newly created subscription to the callback */
+                    return updated;
+                }, options);
+        };
         
-        /* Update using the values passed as parameters */
-        _add(singleurl, torrenturl, multiparturl);
+        /**
+         * Deletes permanently the subscription
+         *
+         * @param callback function(success) to call if the request succeds 
+         * @param options options of the request, such as a signal to abort it,
+         *      see callServerMethod() (optional)
+         * @return a promise for true
+         */
+        that.remove = function(callback, options) {
+            var params = { 'id' : this.id };
+
+            return this.getApi().callServerMethod('/subscriptions', 'delete', callback,
+                params, function(results) {
+                    return true;
+                }, options);
+        };
         
         
         /**
-         * @return the required space by this bucket
+         * Toggles the activity status of a subscription item. You may also
+         * change this value by editing the subscription item. This is just a
+         * shortcut we use.
+         *  
+         * @params callback function([subscription Object]) where the updated status 
+         *     will be passed if the request succedds
+         * @param options options of the request, such as a signal to abort it,
+         *      see callServerMethod() (optional)
+         * @return a promise for the updated subscription
          */
-        that.getReqSpace = function() {
-            return _req_space;
+        that.toggleStatus = function(callback, options) {
+            /* The current status tells the v2 backend whether to pause or resume */
+            var params = { 'id' : this.id, 'paused' : this.paused };
+
+            /* Reference to this object to use in the callback */
+            var subscription = this;
+
+            return this.getApi().callServerMethod('/subscriptions', 'pause', callback,
+                params, function(results) {
+                    /* The answer may only have the id and the new status */
+                    var updated = Subscription(subscription.getApi(), 
+                        extend(subscription, first(results)));
+                    subscription.paused = updated.paused;
+
+                    /* Pass the subscription to the callback */
+                    return updated;
+                }, options);
         };
         
         /**
-         * @return The baid bandwidth that will be used by
-         * this bucket
-         */
-        that.getPaidBw = function() {
-            return _paid_bw;
+         * Refreshes the subscription info. Use this to get the latest info
+         * about the subscriptions.
+         *
+         * @param callback function([subscription Object]) where the updated 
+         *     subscription object will be passed if the request is successful.
+         * @param options options of the request, such as a signal to abort it,
+         *      see callServerMethod() (optional)
+         * @return a promise for the updated subscription
+        */
+        that.updateInfo = function(callback, options) {
+            var params = { 'id' : this.id };
+
+            /* Reference to this object to use in the callback */
+            var subscription = this;
+
+            return this.getApi().callServerMethod('/subscriptions', 'info', callback,
+                params, function(results) {
+                    var key, info = first(results);
+                    var updated = Subscription(subscription.getApi(), info);
+
+                    /* Update values in the current subscription. */
+                    for (key in info) {
+                        if (info.hasOwnProperty(key)) {
+                            subscription[key] = updated[key];
+                        }
+                    }
+
+                    /* Pass the subscription to the callback */
+                    return updated;
+                }, options);
         };
         
-        /**
-         * @return list of single urls for this bucket
+        /** 
+         * Private function to add a 
+         * filter to the list 
          */
-        that.getSingleUrls = function() {
-            return _links.singleurl;
-        };
+        function addFilter(filter, args) {
+            var filters = filter.split(',');
+            
+            var i = filters.length, 
+                k = 0;
+                
+            for (k = 0; k < args.length; k++) {
+                filters[i++] = args[k];
+            }
+
+            for (k = 0; k < filters.length; k++) {
+                filters[k] = trim(filters[k]);
+            }
+
+            return filters.join(',');
+        }
         
         /**
-         * @return list of torrent urls for this bucket
+         * Private function to remove a set of filters
+         * to a the provided filter
          */
-        that.getTorrentUrls = function() {
-            return _links.torrenturl;
-        };
+        function removeFilter(filter, args) {
+            var filters = filter.split(',');
+            
+            var i = 0, j, k, ok;
+            var new_filters = [];
+
+            /* TODO: Is there a better way to implement this? */
+            for (j = 0; j < filters.length; j++) {
+                ok = true;
+                for (k = 0; k < args.length; k++) {
+                    /* We don't want this filter in the new list */
+                    if (trim(filters[j]) === trim(args[k])) {
+                        ok = false;
+                        break;
+                    }
+                }
+
+                if (ok) {
+                    new_filters[i++] = trim(filters[j]);
+                }
+            }
+
+            return new_filters.join(',');
+        }
         
         /**
-         * @return list of multipart urls for this bucket
+         * Adds keyword(s) to "do fetch" filter
+         *
+         * @param callback function([subscription Object]) where the updated subscription will
+         *     be passed if the request succeeds.
+         * @param args list of strings to use as do filter.
+         * @param options options of the request, such as a signal to abort it,
+         *      see callServerMethod() (optional)
+         * @return a promise for the updated subscription
          */
-        that.getMultipartUrls = function() {
-            return _links.multiparturl;
+        that.addDoFilters = function(callback, args, options) {
+            args = args || [];
+
+            var params = { 
+                "id" : this.id,
+                "title" : this.name,
+                "url" : this.url,
+                "do_filters" : addFilter(this.do_filters, args)
+            };
+
+            /* Reference to this object to use in the callback */
+            var subscription = this;
+
+            return this.getApi().callServerMethod('/subscriptions', 'edit', callback,
+                params, function(results) {
+                    subscription.do_filters = first(results).do_filters;
+
+                    /* Pass the subscription to the callback */
+                    return Subscription(subscription.getApi(), results[0]);
+                }, options);
         };
         
         /**
-         * @return list of error urls for this bucket
+         * Adds keyword(s) to "dont fetch" filter
+         *
+         * @param callback function([subscription Object]) where the updated subscription will
+         *     be passed if the request succeeds.
+         * @param args list of strings to use as do filter.
+         * @param options options of the request, such as a signal to abort it,
+         *      see callServerMethod() (optional)
+         * @return a promise for the updated subscription
          */
-        that.getErrorUrls = function() {
-            return _links.errorurl;
+        that.addDontFilters = function(callback, args, options) {
+            args = args || [];
+
+            var params = { 
+                "id" : this.id,
+                "title" : this.name,
+                "url" : this.url,
+                "dont_filters" : addFilter(this.dont_filters, args)
+            };
+
+            /* Reference to this object to use in the callback */
+            var subscription = this;
+
+            return this.getApi().callServerMethod('/subscriptions', 'edit', callback,
+                params, function(results) {
+                    subscription.dont_filters = first(results).dont_filters;
+
+                    /* Pass the subscription to the callback */
+                    return Subscription(subscription.getApi(), results[0]);
+                }, options);
         };
         
         /**
-         * Takes: String or array
-         * Returns: Dictionary of bucket items
-         * 
-         * Adds url(s) to the bucket to analyze or fetch. We recommend using
-         * analyze() method instead.
+         * Deletes keyword(s) to "do fetch" filter
+         *
+         * @param callback function([subscription Object]) where the updated subscription will
+         *      be passed if the request succeeds.
+         * @param args list of strings to use as do filter.
+         * @param options options of the request, such as a signal to abort it,
+         *      see callServerMethod() (optional)
+         * @return a promise for the updated subscription
          */
-        that.add = function(url) {
-            var args = {};
-            if (url && typeof url === 'string') {
-                args = {'url' : url};
-                _links.singleurl[_links.singleurl.length] = Url(this.getApi(), args);
-            }
-            else if (url && isArray(url)) {
-                for (var k = 0; k < url.length; k++) {
-                    args = {'url' : url[k]};
-                    _links.singleurl[_links.singleurl.length] = Url(this.getApi(), 
-                        args);
-                }
-            }
-            else {
-                throw "Add method takes only a string or an array as argument";
-            }
+        that.delDoFilters = function(callback, args, options) {
+            args = args || [];
 
-            return _links;
+            var params = { 
+                "id" : this.id,
+                "title" : this.name,
+                "url" : this.url,
+                "do_filters" : removeFilter(this.do_filters, args)
+            };
+
+            /* Reference to this object to use in the callback */
+            var subscription = this;
+
+            return this.getApi().callServerMethod('/subscriptions', 'edit', callback,
+                params, function(results) {
+                    subscription.do_filters = first(results).do_filters;
+
+                    /* Pass the subscription to the callback */
+                    return Subscription(subscription.getApi(), results[0]);
+                }, options);
         };
         
         /**
-         * Returns the report of your bucket's last analyzation. Each UrlBucket
-         * has its own report. After updating a bucket, remember to check its
-         * new report.
-         * 
-         * Analyzed urls return like this one:
-         * 
-         * {
-         *     'dl_handler': 1,
-         *     'name': 'Itemname.ext',
-         *     'file_type': 1,
-         *     'error': None,
-         *     'url': 'http://torrent.a.b/file.torrent',
-         *     'paid_bw': 0,
-         *     'file_size': 244091464,
-         *     'type_name': 'file',
-         *     'dltype': 2,             #fixme whats this?
-         *     'human_size': '232.78M'
-         * }
+         * Deletes keyword(s) to "dont fetch" filter
+         *
+         * @param callback function([subscription Object]) where the updated subscription will
+         *      be passed if the request succeeds.
+         * @param args list of strings to use as do filter.
+         * @param options options of the request, such as a signal to abort it,
+         *      see callServerMethod() (optional)
+         * @return a promise for the updated subscription
          */
-        that.getReport = function() {
-            return {"Current Available Disk Space": _last_analyzed_disk_avail,
-                "Current Available Bandwidth": _last_analyzed_bw_avail,
-                "Required Space": _req_space,
-                "Bandwidth to be deducted from quota": _paid_bw,
-                "Urls": _links};
+        that.delDontFilters = function(callback, args, options) {
+            args = args || [];
+
+            var params = { 
+                "id" : this.id,
+                "title" : this.name,
+                "url" : this.url,
+                "dont_filters" : removeFilter(this.dont_filters, args)
+            };
+
+            /* Reference to this object to use in the callback */
+            var subscription = this;
+
+            return this.getApi().callServerMethod('/subscriptions', 'edit', callback,
+                params, function(results) {
+                    subscription.dont_filters = first(results).dont_filters;
+
+                    /* Pass the subscription to the callback */
+                    return Subscription(subscription.getApi(), results[0]);
+                }, options);
         };
         
+        return that;
+    }
+
+    defineModel(Subscription, 'Subscription', {
+        id : 'id',
+        name : 'string',
+        url : 'string',
+        do_filters : 'string?',
+        dont_filters : 'string?',
+        parent_folder_id : 'id?',
+        paused : 'boolean?'
+    });
+    
+    /**
+     * Defines an api request. This object is serialized when API calls are
+     * made.
+     * 
+     * @param api_key the user api key
+     * @param api_secret the user api_secret
+     * @param params an array with the parameters for the request
+     */
+    function ApiRequest(api_key, api_secret, params) {
+        if (!api_key || !api_secret) {
+            return; //undefined
+        }
         
-        /**
-         * Initiates fetching all the links of the given URL Bucket instance.
-         *
-         * Returns newly added transfers. Erroneous transfers will have the word
-         * "Error" in "status".
-         *
-         * @param callback function([Transfer Array]) where the list of transfers will 
-         *      be passed if the request succeeds.
-         */
-        that.fetch = function(callback) {
-            var go_fetch = [];        
-            var key, i;
-            for (key in _links) {
-                if (_links.hasOwnProperty(key)) { 
-                    if (key == 'error') {
-                        continue;
-                    }
-                    
-                    for (i = 0; i < _links[key].length; i++) {
-                        go_fetch[go_fetch.length] = _links[key][i].url;
-                    }
-                }
+        return {
+            api_key : api_key,
+            api_secret : api_secret,
+            params : params || {},
+            
+            /**
+             * Return a string containing this request as JSON. 
+             * This method depends on the JSON.stringify method. 
+             * 
+             * TODO: Multible browser support has not been tested. 
+             * For deployed applications this method should be rewritten or
+             * the json2.js library, available in http://www.json.org/js.html, should
+             * be used.
+             */
+            toString : function() {
+                return JSON.stringify(this);
+            }
+        };
+    }
+    
+    /**
+     * Errors passed to the error function and used to reject promises. The
+     * kind attribute tells what went wrong:
+     *
+     *     PutioError.NETWORK   the server could not be reached
+     *     PutioError.TIMEOUT   the server did not answer in time
+     *     PutioError.HTTP      the server answered with an HTTP error status,
+     *                          available in error.status
+     *     PutioError.API       the server answered with an API error message
+     *     PutioError.JSON      the response could not be parsed or is malformed
+     *     PutioError.ARGUMENT  the method was called with invalid arguments
+     *     PutioError.SCHEMA    the response misses attributes or has values 
+     *                          of the wrong type, see applySchema()
+     *     PutioError.OFFLINE   the call could not reach the server and was 
+     *                          saved in the journal, available in 
+     *                          error.operation. See Journal.
+     *     PutioError.ABORT     the request was aborted by the caller, see
+     *                          api.callServerMethod(). The error function is
+     *                          not called for aborted requests.
+     *
+     * Example:
+     *     api.getItems().then(null, function(error) {
+     *         if (error.kind === putio.PutioError.TIMEOUT) {
+     *             alert('put.io is taking too long, try again later');
+     *         }
+     *     });
+     *
+     * @param msg Message returned from putio server
+     * @param path Path in the server where the request was made
+     * @param method Method call that generated the error
+     * @param params Arguments given to the method call
+     * @param kind kind of error (optional, defaults to PutioError.API)
+     * @param status HTTP status of the response (optional)
+     * @return an error object containing the provided information
+     */
+    function PutioError(msg, path, method, params, kind, status) {
+        if (!(this instanceof PutioError)) {
+            return new PutioError(msg, path, method, params, kind, status);
+        }
+
+        this.msg = msg;
+        this.message = msg;
+        this.path = path;
+        this.method = method;
+        this.params = params || {};
+        this.kind = kind || PutioError.API;
+        this.status = status || 0;
+        this.attempts = 1;
+    }
+
+    PutioError.NETWORK = 'network';
+    PutioError.TIMEOUT = 'timeout';
+    PutioError.HTTP = 'http';
+    PutioError.API = 'api';
+    PutioError.JSON = 'json';
+    PutioError.ARGUMENT = 'argument';
+    PutioError.ABORT = 'abort';
+    PutioError.SCHEMA = 'schema';
+    PutioError.OFFLINE = 'offline';
+
+    PutioError.prototype.name = 'PutioError';
+
+    PutioError.prototype.toString = function() {
+        return "An error ocurred on calling the method " + this.method +
+            " in path " + this.path + " with message: "+ this.msg;
+    };
+
+    /**
+     * @return true if the failed request may succeed if it is sent again,
+     *      that is, on network errors, timeouts and server side HTTP errors.
+     */
+    PutioError.prototype.isRetryable = function() {
+        return this.kind === PutioError.NETWORK || 
+            this.kind === PutioError.TIMEOUT ||
+            (this.kind === PutioError.HTTP && (this.status >= 500 || this.status === 429));
+    };
+
+    /**
+     * Converts a failure reported by a transport into a PutioError.
+     *
+     * @param failure object with the attributes kind (one of the PutioError
+     *      kinds), status (HTTP status, optional) and msg (optional)
+     * @return a PutioError of the matching kind
+     */
+    function transportError(failure, path, method, params) {
+        var kind = failure.kind || PutioError.NETWORK;
+        var status = failure.status || 0;
+        var msg = failure.msg;
+
+        if (!msg) {
+            if (kind === PutioError.TIMEOUT) {
+                msg = "The server did not answer in time";
+            } else if (kind === PutioError.JSON) {
+                msg = "The server response is not valid JSON";
+            } else if (kind === PutioError.HTTP) {
+                msg = "The server answered with HTTP status " + status;
+            } else {
+                msg = "Could not connect to the server";
             }
-            
-            var params = {'links' : go_fetch };
-            var api = this.getApi();
+        }
 
-            api.callServerMethod('/transfers', 'add', function(results) {
-                if (callback) {
-                    var transfers = [];
-                    for (i = 0; i < results.length; i++) {
-                        transfers[transfers.length] = Transfer(api, results[i]);
-                    }
+        return PutioError(msg, path, method, params, kind, status);
+    }
 
-                    /* Pass the transfer list to the callback */
-                    callback(transfers);
-                }
-            }, params);
-        };
-        
-        /**
-         * Analyzes the bucket or, if given, the list of urls provided and 
-         * passes an updated bucket with the urls that put.io can fetch to the
-         * provided callback.
-         *
-         * Example:
-         *     Analyze the provided list of links and fetch the new bucket
-         *
-         *     bucket.analyze(function(new_bucket) {
-         *         new_bucket.fetch();
-         *     }, array);
-         *     
-         * @param callback function([Bucket Object]) where the updated bucket will be
-         *     passed if the request succeeds.
-         * @param links array of urls as strings or an array of url objects.
+    /**
+     * Extracts the results from a put.io response.
+     *
+     * @param data response from the server, parsed or as a JSON string
+     * @return an object with either a data and a results attribute, or an error
+     *      attribute with the matching PutioError
+     */
+    function unwrapResponse(data, path, method, params) {
+        /* Temporary workaround. If the data returned
+         * is a string, then we need to parse 
+         * it as a JSON object.
          */
-        that.analyze = function(callback, links) {
-            links = links || [];
-
-            if (!isArray(links)) {
-                throw "Analyze method takes a list. Use " + 
-                    "extract_urls() to convert string of urls to a list.";
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch (e) {
+                return { error : PutioError("The server response is not valid JSON",
+                    path, method, params, PutioError.JSON) };
             }
+        }
 
-            var go_analyze = [];
-            var k, i;
-            for (k = 0; k < links.length; k++) {
-                go_analyze[go_analyze.length] = links[k].toString();
+        if (!data || typeof data !== 'object') {
+            return { error : PutioError("The server response is empty", path, method,
+                params, PutioError.JSON) };
+        }
+
+        if (data.error) {
+            return { error : PutioError(data.error_message, path, method, params,
+                PutioError.API) };
+        }
+
+        if (!data.response || data.response.results === undefined) {
+            return { error : PutioError("The server response has no results", path,
+                method, params, PutioError.JSON) };
+        }
+
+        return { data : data, results : data.response.results };
+    }
+    
+    /**
+     * Opt-in cache of server responses, keyed by path, method and params. Only
+     * the methods listed in the ttl table are cached (see DEFAULT_CACHE_TTL).
+     * Responses are stored as JSON, so the models created from a cached
+     * response never share state with the cache.
+     *
+     * Every call that changes data evicts the responses it makes outdated:
+     * changes in /files evict the listings and searches that contain the
+     * item, the listing of the folders it was and is in and the folder map;
+     * changes in other paths evict the lists and info of that path.
+     *
+     * Enable it with the cache option of the Api, or with api.enableCache():
+     *
+     *     var api = putio(API_KEY, API_SECRET, null, {
+     *         cache : { ttl : { '/files list' : 60000 }, stale_while_revalidate : true }
+     *     });
+     *
+     * In stale while revalidate mode, expired responses are still passed to 
+     * the callback and the promise right away, the server is called in the 
+     * background, and the callback is called a second time with the fresh
+     * value if it changed.
+     *
+     * @param options true, or an object with the optional attributes:
+     *      ttl: object mapping "path method" to milliseconds, overriding 
+     *          DEFAULT_CACHE_TTL. A ttl of 0 disables the cache for the method.
+     *      stale_while_revalidate: boolean, see above
+     */
+    function ResponseCache(options) {
+        options = typeof options === 'object' ? options : {};
+
+        var ttl = {};
+        var entries = {};
+        var key;
+
+        for (key in DEFAULT_CACHE_TTL) {
+            if (DEFAULT_CACHE_TTL.hasOwnProperty(key)) {
+                ttl[key] = DEFAULT_CACHE_TTL[key];
             }
-            
-            /* Add also the links already included in this bucket */
-            for (k in _links) {
-                if (_links.hasOwnProperty(k)) { 
-                    if (k == 'error') {
-                        continue;
-                    }
-                    
-                    for (i = 0; i < _links.length; i++) {
-                        go_analyze[go_analyze.length] = _links[k][i].url;
-                    }
-                }
+        }
+        for (key in options.ttl) {
+            if (options.ttl.hasOwnProperty(key)) {
+                ttl[key] = options.ttl[key];
             }
+        }
 
-            var params = { 'links' : go_analyze };
+        function entryKey(path, method, params) {
+            return path + ' ' + method + ' ' + JSON.stringify(params || {});
+        }
 
-            /* Reference this bucket */
-            var bucket = this;
+        return {
+            stale_while_revalidate : !!options.stale_while_revalidate,
 
-            this.getApi().callServerMethod('/urls', 'analyze', 
-                function(results) {
-                    var multipart_urls  = [];
-                    var single_urls     = [];
-                    var torrent_urls    = [];
-                    var error_urls      = [];
+            /**
+             * @return true if responses of the method are cached
+             */
+            isCached : function(path, method) {
+                return !!ttl[path + ' ' + method];
+            },
 
-                    var paid_bw = 0;
-                    var req_space = 0;
+            /**
+             * @return null if there is no cached response, else an object with
+             *      the attributes response (a fresh copy of the response), body
+             *      (the response as JSON) and fresh (false if the ttl expired)
+             */
+            lookup : function(path, method, params) {
+                var entry = entries[entryKey(path, method, params)];
+                if (!entry) {
+                    return null;
+                }
 
-                    var i,k,r;
-                    for (k = 0; k < results.items.multiparturl.length; k++) {
-                        r = results.items.multiparturl[k];
+                var fresh = new Date().getTime() - entry.time < ttl[path + ' ' + method];
+                if (!fresh && !this.stale_while_revalidate) {
+                    return null;
+                }
 
-                        paid_bw  += r.paid_bw;
-                        req_space  += r.size;
+                return { response : JSON.parse(entry.body), body : entry.body, fresh : fresh };
+            },
 
-                        for (i = 0; i < r.parts.length; i++) {
-                            multipart_urls[multipart_urls.length] = 
-                                Multipart(bucket.getApi(), r.parts[i]);
+            /**
+             * Stores the response of a call.
+             *
+             * @return the response as JSON
+             */
+            store : function(path, method, params, response) {
+                var body = JSON.stringify(response);
+                entries[entryKey(path, method, params)] = { path : path, method : method,
+                    params : params || {}, body : body, time : new Date().getTime() };
+                return body;
+            },
+
+            /**
+             * Evicts the cached responses of the path. 
+             *
+             * @param path api path
+             * @param method api method (optional, defaults to every method)
+             * @param params only responses whose params include these are 
+             *      evicted (optional)
+             */
+            invalidate : function(path, method, params) {
+                var key, entry;
+                for (key in entries) {
+                    if (entries.hasOwnProperty(key)) {
+                        entry = entries[key];
+                        if (entry.path === path && (!method || entry.method === method) &&
+                                paramsMatch(params || {}, entry.params)) {
+                            delete entries[key];
                         }
                     }
+                }
+            },
 
-                    for (k = 0; k < results.items.torrent.length; k++) {
-                        r = results.items.torrent[k];
-
-                        torrent_urls[torrent_urls.length] = 
-                            Torrent(bucket.getApi(), r);
+            /**
+             * Evicts every cached /files response that contains the item, and 
+             * the listings of the folders that contain it.
+             *
+             * @param id id of the item
+             */
+            invalidateItem : function(id) {
+                var parents = [];
+                var key, entry, results, k;
 
-                        paid_bw  += r.paid_bw;
-                        req_space  += r.size;
+                for (key in entries) {
+                    if (!entries.hasOwnProperty(key) || entries[key].path !== '/files') {
+                        continue;
                     }
 
-                    for (k = 0; k < results.items.singleurl.length; k++) {
-                        r = results.items.singleurl[k];
-
-                        single_urls[single_urls.length] = Url(bucket.getApi(), r);
-
-                        paid_bw  += r.paid_bw;
-                        req_space  += r.size;
+                    entry = entries[key];
+                    results = JSON.parse(entry.body).results;
+                    if (!isArray(results)) {
+                        continue;
                     }
- 
-                    for (k = 0; k < results.items.error.length; k++) {
-                        error_urls[error_urls.length] = Url(results.items.error[k]);
+
+                    for (k = 0; k < results.length; k++) {
+                        if (String(results[k].id) === String(id)) {
+                            parents[parents.length] = entry.method === 'list' ? 
+                                entry.params.parent_id : results[k].parent_id;
+                            delete entries[key];
+                            break;
+                        }
                     }
+                }
 
-                    // Reset the links before updating the info
-                    _links = { 'multiparturl' : [], 'torrenturl' : [], 
-                        'singleurl' : [], 'error' : [] };
+                for (k = 0; k < parents.length; k++) {
+                    this.invalidate('/files', 'list', { 'parent_id' : parents[k] || 0 });
+                }
+            },
 
-                    _add(single_urls, torrent_urls, multipart_urls, error_urls, {
-                        last_analyzed_disk_avail : results.disk_avail,
-                        last_analyzed_bw_avail : results.bw_avail,
-                        paid_bw : paid_bw,
-                        req_space : req_space});
+            /**
+             * Evicts the responses outdated by a call that changed data.
+             *
+             * @param path api path of the call
+             * @param method api method of the call
+             * @param params params of the call
+             */
+            afterWrite : function(path, method, params) {
+                params = params || {};
 
-                    if (callback) {
-                        callback(bucket);
+                if (path === '/files') {
+                    if (params.id !== undefined) {
+                        this.invalidateItem(params.id);
+                        this.invalidate('/files', 'info', { 'id' : params.id });
+                    }
+                    if (params.parent_id !== undefined) {
+                        this.invalidate('/files', 'list', { 'parent_id' : params.parent_id || 0 });
+                    }
+                    this.invalidate('/files', 'dirmap');
+                    this.invalidate('/user', 'info');
+                    if (method !== 'create_dir') {
+                        this.invalidate('/files', 'search');
                     }
+                } else {
+                    this.invalidate(path, 'list');
+                    this.invalidate(path, 'info', params.id !== undefined ? 
+                        { 'id' : params.id } : undefined);
+                }
+            },
 
-                }, params);
+            /**
+             * Evicts every cached response
+             */
+            clear : function() {
+                entries = {};
+            }
         };
-        
-        /**
-         * Extracts a list of usable urls from the specified text
-         * and passes the list of urls to the provided
-         * callback
-         *
-         * @param callback function([String Array]) where the list of urls will be passed
-         *      if the request succeeds.
-         * @param text text where the urls will be extracted
-         */
-        that.extractUrls = function(callback, text) {
-            if (!callback) {
-                return;
+    }
+
+    /**
+     * Answers a request with a route of the memory transport or the fake
+     * middleware: the results of the call, or a function(params, request) 
+     * that returns them.
+     *
+     * @return the raw response for the results, or for the API error if the
+     *      route throws a string
+     * @throws the failure object ({kind : PutioError.TIMEOUT}) thrown by 
+     *      the route
+     */
+    function routeResponse(route, request) {
+        var v2 = request.api_version === 2;
+        var results;
+
+        try {
+            results = typeof route === 'function' ?
+                route(request.body.params, request) : route;
+        } catch (e) {
+            if (e && e.kind) {
+                throw e;
             }
-            var params = { 'txt' : text };
+            return v2 ? { status : 'ERROR', error_message : String(e) } :
+                { error : true, error_message : String(e) };
+        }
 
-            this.getApi().callServerMethod('/urls', 'extracturls', 
-                function(results) {
-                    var urls = [];
-                    
-                    // TODO: Lookup the result of this remote call
-                    // to see if results is really an array or an object
-                    for (var k = 0; k < results.length; k++) {
-                        urls[urls.length] = results[k].url;
-                    }
+        return v2 ? results : { error : false, response : { results : results } };
+    }
 
-                    callback(urls);
-                }, params);
-        };
+    // Number of JSONP requests sent, to name their global callbacks
+    var jsonp_count = 0;
 
-        return that;
-    }
-    
     /**
-     * An item can be a file or a folder.
-     *  
-     * Avaiable Item methods are:
-     *     
-     *     item.renameItem()
-     *     item.moveItem()
-     *     item.remove()
-     *     item.updateInfo()
-     *     item.getDownloadUrl()
-     *     item.getZipUrl()
-     *     item.getStreamUrl()
-     *  
-     * Available Item attributes:
-     * Sizes are in bytes. Use human_size(byte) to convert if necessary.
-     *     
-     *     item.id
-     *     item.name
-     *     item.type
-     *     item.size
-     *     item.is_dir
-     *     item.parent_id
-     *     item.screenshot_url
-     *     item.thumb_url
-     *     item.file_icon_url
-     *     item.download_url
-     * 
-     * Example Folder Item:
-     *     
-     *     "id":"4394",
-     *     "name":"Billie Ray Martin The Crackdown Project - Vol 1",
-     *     "type":"folder",
-     *     "size":"23472048",
-     *     "is_dir":true,
-     *     "parent_id":"0",
-     *     "screenshot_url":"http://put.io/screenshot/b/dgRraFxlXmNl.jpg",
-     *     "thumb_url":"http://put.io/screenshot/dgRraFxlXmNl.jpg",
-     *     "file_icon_url":"http://put.io/images/file_types/folder.png",
-     *     "folder_icon_url":"",
-     *     "download_url":"http://node2.endlessdisk.com/download-file/17/4394",
-     *     "zip_url":"/stream-basket/17/4394"}
-     * 
-     * 
-     * at the moment, type can be a:
-     *     
-     *     folder
-     *     file
-     *     audio
-     *     movie
-     *     image
-     *     compressed
-     *     pdf
-     *     ms_doc
-     *     text
-     *     swf
-     *     unknown
+     * Transports send a serialized request to the server and pass the raw
+     * response back. They are plain functions with the signature
+     *
+     *     function(request, done)
+     *
+     * where request has the attributes
+     *
+     *     request.url      full url of the request, including the method and,
+     *                      for GET requests, the serialized ApiRequest as 
+     *                      query string. Use putio.redact() before logging it.
+     *     request.http_method  'GET' or 'POST'
+     *     request.data     url encoded body of POST requests, or null. v1 
+     *                      POST requests send the ApiRequest here.
+     *     request.jsonp    true if the server answers JSONP requests (v1)
+     *     request.key      route of the request, "path method" for the v1 
+     *                      api and "GET /files/list" for the v2 api
+     *     request.api_version  version of the api, see backends
+     *     request.path     api path, for instance '/files'
+     *     request.method   api method, for instance 'list'
+     *     request.body     the ApiRequest object, or an object with the params
+     *                      of the request for the v2 api
+     *     request.timeout  time to wait for a response, in milliseconds
+     *     request.user_agent  identifier of the library and application, for
+     *                      transports that can set the User-Agent header
+     *
+     * and done is a function(failure, data) to call exactly once, either with
+     * a failure object ({kind : PutioError.TIMEOUT, status : 0}, see 
+     * transportError) or with the response as a JSON string or an already 
+     * parsed object. Unwrapping the response is left to the Api object.
+     *
+     * Transports may return a function that cancels the request. Once it is
+     * called, done must not be called anymore.
+     *
+     * Transports that can send POST requests to the api have a post attribute
+     * set to true, or to a function that tells if they can at the moment. The
+     * v1 credentials are then sent in the body of the request instead of the
+     * url, see the credentials option of Api.
+     *
+     * Transports are created with the factories in putio.transports and 
+     * passed to the Api with the transport option:
+     *
+     *     var api = putio(API_KEY, API_SECRET, null, {
+     *         transport : putio.transports.xhr()
+     *     });
      */
-    function Item(api, args) {
-        var that = BaseApiObj(api, args);
-        
+    var transports = {
         /**
-         * Renames the item and passes the updated object 
-         * to the provided callback.
-         *
-         * @param callback function([Item Object]) where the updated item
-         *     will be passed if the request succeeds.
-         * @param name updated name for the item.
+         * Sends the request with jQuery.ajax. This is the default transport 
+         * when jQuery is present. Pages loaded from files, as PhoneGap 
+         * applications are, can send POST requests to any server; other
+         * pages send the v1 requests as JSONP. JSONP cannot see HTTP errors,
+         * so an unreachable server is reported as a timeout. 
          */
-        that.renameItem = function(callback, name) {
-            if (!name) {
-                return;
-            }
+        jquery : function() {
+            var transport = function(request, done) {
+                var jsonp = request.jsonp !== false;
+                var callback_name = jsonp ? 'putio_jsonp_' + (++jsonp_count) : undefined;
+                var aborted = false;
+
+                var xhr = jQuery.ajax({
+                    url : request.url,
+                    type : request.http_method || 'GET',
+                    data : request.data || undefined,
+                    dataType : jsonp ? 'jsonp' : 'json',
+                    jsonpCallback : callback_name,
+                    timeout : request.timeout,
+                    success : function(data) {
+                        if (!aborted) {
+                            done(null, data);
+                        }
+                    },
+                    error : function(xhr, text_status) {
+                        var status = (xhr && xhr.status) || 0;
 
-            var params = { 'name' :  name, 'id' : this.id };
-            var item = this;
+                        if (aborted) {
+                            return;
+                        }
 
-            this.getApi().callServerMethod('/files', 'rename',
-                    function(results) {
-                        if (results.length > 0) {
-                            /* Update the original item */
-                            item.name = results[0].name;
+                        if (text_status === 'timeout') {
+                            done({ kind : PutioError.TIMEOUT });
+                        } else if (text_status === 'parsererror') {
+                            done({ kind : PutioError.JSON, status : status });
+                        } else if (status >= 400) {
+                            done({ kind : PutioError.HTTP, status : status });
+                        } else {
+                            done({ kind : PutioError.NETWORK });
+                        }
+                    }
+                });
 
-                            /* Pass the new item to the callback */
-                            if (callback) {
-                                callback(Item(item.getApi(), results[0]));
+                return function() {
+                    aborted = true;
+
+                    /* jQuery removes the script tag, and restores the global
+                     * callback. A response already on its way would still
+                     * call it, so it is replaced with one that only removes
+                     * itself. */
+                    xhr.abort();
+                    if (jsonp) {
+                        window[callback_name] = function() {
+                            try {
+                                delete window[callback_name];
+                            } catch (e) {
+                                window[callback_name] = undefined;
                             }
-                        }
-                    }, params);
-        };
-        
+                        };
+                    }
+                };
+            };
+
+            transport.post = isFilePage;
+            return transport;
+        },
+
         /**
-         * Moves the item to another folder. target_id = 0 is the root folder.
-         * Passes the updated item to the provided callback.
-         *
-         * @param callback function([Item Object]) where the updated Item will
-         *     be passed if the request succeds.
-         * @param target_id id of the target folder. Defaults to 0.
+         * Sends the request with XMLHttpRequest. It needs the server to be
+         * reachable from the page origin, which is the case for PhoneGap 
+         * applications, and reports HTTP errors with their status.
          */
-        that.moveItem = function(callback, target_id) {
-            target_id = target_id || 0;
+        xhr : function() {
+            var transport = function(request, done) {
+                var xhr = new XMLHttpRequest();
+                var finished = false;
+
+                function finish(failure, data) {
+                    if (!finished) {
+                        finished = true;
+                        clearTimeout(timer);
+                        done(failure, data);
+                    }
+                }
 
-            var params = {'id' : this.id, 'parent_id' : target_id };
-            var item = this;
+                var timer = setTimeout(function() {
+                    finish({ kind : PutioError.TIMEOUT });
+                    xhr.abort();
+                }, request.timeout);
 
-            this.getApi().callServerMethod('/files', 'move',
-                function(results) {
-                    if (results.length > 0) {
-                        /* Update the original item */
-                        item.parent_id = results[0].parent_id;
+                xhr.onreadystatechange = function() {
+                    if (xhr.readyState !== 4) {
+                        return;
+                    }
 
-                        /* Pass the new item to the callback */
-                        if (callback) {
-                            callback(Item(item.getApi(), results[0]));
-                        }
+                    if (xhr.status === 0) {
+                        finish({ kind : PutioError.NETWORK });
+                    } else if (xhr.status >= 400) {
+                        finish({ kind : PutioError.HTTP, status : xhr.status });
+                    } else {
+                        finish(null, xhr.responseText);
                     }
-                }, params);
+                };
 
-        };
-        
-        /**
-         * Destroys the item permanently. Calls the callback function
-         * if the request was succesfull
-         *
-         * @param callback function([boolean]) that will be called if the 
-         *     request succeeds.
-         */  
-        that.remove = function(callback) {
-            var params = { 'id' : this.id };
+                xhr.open(request.http_method || 'GET', request.url, true);
+                if (request.data) {
+                    xhr.setRequestHeader('Content-Type', 'application/x-www-form-urlencoded');
+                }
+                xhr.send(request.data || null);
+
+                return function() {
+                    finished = true;
+                    clearTimeout(timer);
+                    xhr.abort();
+                };
+            };
+
+            transport.post = true;
+            return transport;
+        },
 
-            this.getApi().callServerMethod('/files', 'delete',
-                function(results) {
-                    /* Pass the new item to the callback */
-                    if (callback) {
-                        callback(true);
-                    }
-                }, params);
-        };
-        
         /**
-         * Refreshes the items attributes.  Useful for folders, because folders
-         * can be updated via subscriptions in the background. It passes the 
-         * updated item to the callback function.
-         *
-         * @param callback function([Item Object]) where the updated item 
-         *     will be passed if the request succeeds.
+         * Sends the request with the http or https module of Node.js, for
+         * scripts running outside of a browser.
          */
-        that.updateInfo = function(callback) {
-            var params = { 'id' : this.id };
-            var item = this;
+        node : function() {
+            var transport = function(request, done) {
+                var client = request.url.indexOf('https:') === 0 ? 
+                    require('https') : require('http');
+                var finished = false;
+
+                function finish(failure, data) {
+                    if (!finished) {
+                        finished = true;
+                        done(failure, data);
+                    }
+                }
 
-            this.getApi().callServerMethod('/files', 'info',
-                    function(results) {
-                        var key;
-                        if (results.length > 0) {
-                            // Update values in the current subscription.
-                            for (key in results[0]) {
-                                if (results[0].hasOwnProperty(key)) { 
-                                    item[key] = results[0][key];
-                                }
-                            }
+                var options = require('url').parse(request.url);
+                options.method = request.http_method || 'GET';
+                options.headers = { 'User-Agent' : request.user_agent || 'putio.js' };
+                if (request.data) {
+                    options.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+                    options.headers['Content-Length'] = Buffer.byteLength(request.data);
+                }
 
-                            /* Pass the new item to the callback */
-                            if (callback) {
-                                callback(Item(item.getApi(), results[0]));
-                            }
+                var req = client.request(options, function(res) {
+                    var body = '';
+                    res.setEncoding('utf8');
+                    res.on('data', function(chunk) {
+                        body += chunk;
+                    });
+                    res.on('end', function() {
+                        if (res.statusCode >= 400) {
+                            finish({ kind : PutioError.HTTP, status : res.statusCode });
+                        } else {
+                            finish(null, body);
                         }
-                    }, params);
-        };
-        
+                    });
+                });
+
+                req.setTimeout(request.timeout, function() {
+                    finish({ kind : PutioError.TIMEOUT });
+                    req.abort();
+                });
+
+                req.on('error', function(e) {
+                    finish({ kind : PutioError.NETWORK, msg : e.message });
+                });
+
+                req.end(request.data || undefined);
+
+                return function() {
+                    finished = true;
+                    req.abort();
+                };
+            };
+
+            transport.post = true;
+            return transport;
+        },
+
         /**
-         * @return a string with the download url or null if the item is a folder.
+         * Sends the request through the PutioHttp PhoneGap plugin (see 
+         * putiohttp.js), that makes it from native code. The request never 
+         * goes through the WebView, so its url is not kept in the WebView 
+         * history nor its cache. This is the default transport in PhoneGap.
+         *
+         * The plugin is only available once PhoneGap is ready. Until then,
+         * requests are sent with the fallback transport.
+         *
+         * @param fallback transport used while the plugin is not available 
+         *      (optional, defaults to the best transport of the page)
          */
-        that.getDownloadUrl = function() {
-            if (this.is_dir) {
-                return null;
+        bridge : function(fallback) {
+            fallback = fallback || pageTransport();
+
+            function plugin() {
+                return typeof window !== 'undefined' && window.plugins && 
+                    window.plugins.putioHttp;
             }
-            
-            return this.download_url;
-        };
-        
+
+            var transport = function(request, done) {
+                var finished = false;
+                var timer;
+
+                if (!plugin()) {
+                    return fallback(request, done);
+                }
+
+                function finish(failure, data) {
+                    if (!finished) {
+                        finished = true;
+                        clearTimeout(timer);
+                        done(failure, data);
+                    }
+                }
+
+                timer = setTimeout(function() {
+                    finish({ kind : PutioError.TIMEOUT });
+                }, request.timeout);
+
+                plugin().request({
+                    method : request.http_method || 'GET',
+                    url : request.url,
+                    data : request.data || null,
+                    timeout : request.timeout,
+                    user_agent : request.user_agent
+                }, function(response) {
+                    if (response.status >= 400) {
+                        finish({ kind : PutioError.HTTP, status : response.status });
+                    } else {
+                        finish(null, response.body);
+                    }
+                }, function(message) {
+                    finish({ kind : PutioError.NETWORK, msg : message });
+                });
+
+                /* The native request cannot be stopped, its answer is ignored */
+                return function() {
+                    finished = true;
+                    clearTimeout(timer);
+                };
+            };
+
+            transport.post = function() {
+                return plugin() ? true : canPost(fallback);
+            };
+            return transport;
+        },
+
         /**
-         * @return the stream url of the item. If the item is a folder, then null will be returned.
-         *      the item is assumed to be updated.
+         * Answers requests from memory, without any network access. Useful
+         * for unit tests.
+         *
+         * Routes map "path method" to the results of the call, or to a 
+         * function(params, request) that returns them. Functions may throw a 
+         * string to answer with an API error, or a failure object 
+         * ({kind : PutioError.TIMEOUT}) to simulate a transport failure.
+         * Requests for unknown routes are answered with an API error.
+         *
+         * Requests for the v2 api use the routes of their key, for instance
+         * "GET /files/list", and the results are the v2 response body.
+         *
+         * Example:
+         *     var transport = putio.transports.memory({
+         *         '/user acctoken' : { token : 'abc' },
+         *         '/files list' : function(params) {
+         *             return [{ id : 1, name : 'file.avi', parent_id : params.parent_id }];
+         *         }
+         *     });
+         *
+         * The returned transport has a requests attribute with the list of 
+         * received requests, and a route(key, results) method to add routes.
+         *
+         * @param routes initial routes (optional)
          */
-        that.getStreamUrl = function() {
-            if (this.is_dir) {
-                return null;
-            }
+        memory : function(routes) {
+            routes = routes || {};
 
-            var sturl = this.stream_url + '/atk/' + this.getApi().access_token;
-            return sturl;
-        };
-        
-        /* TODO */
-        that.createMp4 = function() {
-            return false;
-        };
-        
-        return that;
+            var transport = function(request, done) {
+                var route = routes[request.key || request.path + ' ' + request.method];
+                var aborted = false;
+                var data;
+
+                function abort() {
+                    aborted = true;
+                }
+
+                function reply(failure, data) {
+                    setTimeout(function() {
+                        if (!aborted) {
+                            done(failure, data);
+                        }
+                    }, 0);
+                }
+
+                transport.requests[transport.requests.length] = request;
+
+                if (route === undefined) {
+                    route = function() {
+                        throw "Unknown method " + request.method + " in path " + request.path;
+                    };
+                }
+
+                try {
+                    data = routeResponse(route, request);
+                } catch (failure) {
+                    reply(failure);
+                    return abort;
+                }
+
+                reply(null, data);
+                return abort;
+            };
+
+            transport.requests = [];
+
+            /* Set to false to receive the v1 credentials in the url */
+            transport.post = true;
+
+            transport.route = function(key, results) {
+                routes[key] = results;
+            };
+
+            return transport;
+        }
+    };
+
+    /**
+     * @return true if the page was loaded from a file, as PhoneGap pages are.
+     *      These pages can send requests to any server.
+     */
+    function isFilePage() {
+        return typeof location !== 'undefined' && location.protocol === 'file:';
     }
-    
-    
+
     /**
-     * Folders inherit from item. Check Item class documentation for more info.
-     * 
-     * Sample:
-     *      
-     *     folder.id               =  4394
-     *     folder.name             =  "Billie Ray Martin The Crackdown Project"
-     *     folder.type             =  "folder"
-     *     folder.size             =  23472048
-     *     folder.is_dir           =  True
-     *     folder.parent_id        =  0
-     *     folder.screenshot_url   =  "/images/file_types/file.png"
-     *     folder.thumb_url        =  "/images/file_types/file.png"
-     *     folder.file_icon_url    =  "/images/file_types/folder.png"
-     *     folder.folder_icon_url  =  ""
-     *     folder.download_url     =  "http://XX.put.io/download-file/17/4394"
-     *     folder.zip_url          =  "http://XX.put.io/stream-basket/17/4394"
+     * @param transport a transport, see transports
+     * @return true if the transport can send POST requests at the moment
      */
-    function Folder(api, args) {
-        var that = Item(api, args); //inherit from item
+    function canPost(transport) {
+        return typeof transport.post === 'function' ? !!transport.post() : 
+            transport.post === true;
+    }
 
-        /**
-         * Create a new folder under the current one. Makes use of api.create_folder()
-         *
-         * @param callback function where the created folder will be passed
-         * @param name name for the new folder. Defaults to 'New Folder'
-         */
-        that.createFolder = function(callback, name) {
-            return this.getApi().createFolder(callback, name, this.id);
-        };
-        
-        return that;
+    /**
+     * @return the best transport available in the current environment
+     */
+    function defaultTransport() {
+        if (typeof PhoneGap !== 'undefined') {
+            return transports.bridge();
+        }
+        return pageTransport();
+    }
+
+    /**
+     * @return the best transport available without native plugins
+     */
+    function pageTransport() {
+        if (typeof jQuery !== 'undefined' && typeof jQuery.ajax === 'function') {
+            return transports.jquery();
+        }
+        if (typeof XMLHttpRequest !== 'undefined') {
+            return transports.xhr();
+        }
+        if (typeof require === 'function') {
+            return transports.node();
+        }
+        return undefined;
     }
-    
     
     /**
-     * Subscription Methods:
-     * 
-     *     edit()
-     *     delete()
-     *     toggle_status()
-     *     undate_info()
-     *     add_do_filters()
-     *     add_dont_filters()
-     * 
-     * 
-     * Subscription Attributes:
-     *     
-     *     subsitem.id                  (integer)
-     *     subsitem.url                 (string)
-     *     subsitem.name                (string)
-     *     subsitem.do_filters          (strings, seperated by commas)
-     *     subsitem.dont_filters        (strings, seperated by commas)
-     *     subsitem.parent_folder_id    (integer)
-     *     subsitem.last_update_time    (string)
-     *     subsitem.next_update_time    (string)
-     *     subsitem.paused              (boolean)
-     *  
-     * Example:
-     *     api.getSubscriptions(function(subscriptions) {
-     *         for (i in subscriptions) {
-     *             alert(subscriptions[i].name);
-     *         }
-     *     });
-     * 
-     * Sample Values:
-     *     
-     *     subsitem.id                =  860
-     *     subsitem.url               =  "http://legaltorrents.com/music/rss.xml"
-     *     subsitem.name              =  "Jazz Radio"
-     *     subsitem.do_filters        =  "jazz, mp3"
-     *     subsitem.dont_filters      =  "smooth, wav"
-     *     subsitem.parent_folder_id  =  234
-     *     subsitem.last_update_time  =  "2010-01-01 00:00"
-     *     subsitem.next_update_time  =  "2010-01-01 00:00"
-     *     subsitem.paused            =  False
+     * Hides the api secret and the oauth token of a url, a request body or
+     * a serialized ApiRequest, so it can be logged.
+     *
+     * @param text the string to redact
+     * @return the string without credentials
+     */
+    function redact(text) {
+        return String(text)
+            .replace(/("api_secret"\s*:\s*")(?:[^"\\]|\\.)*"/g, '$1***"')
+            .replace(/(%22api_secret%22%3A%22)(?:%5C(?:%22|%5C)|(?!%22).)*(%22)/g, '$1***$2')
+            .replace(/([?&]oauth_token=)[^&]*/g, '$1***');
+    }
+
+    /**
+     * Converts an exception thrown by a middleware into a transport failure
+     */
+    function middlewareFailure(e) {
+        if (e && e.kind) {
+            return e;
+        }
+        return { kind : PutioError.NETWORK, msg : (e && e.message) || String(e) };
+    }
+
+    /**
+     * Sends a request through the middleware of the api and its transport. 
+     * The request hooks run in the order the middleware was added, and the 
+     * response and failure hooks in the opposite order. See middleware.
+     *
+     * @param api the Api instance
+     * @param request the transport request
+     * @param context object with the path, method, params and attempt of 
+     *      the call. The start time of the request is added as started.
+     * @param done function(failure, data), as for transports
+     * @return a function that cancels the request, as transports do
      */
-    function Subscription(api, args) {
-        var that = BaseApiObj(api, args);
-        
-        /**
-         * Changes values in the subscription attributes.
-         *
-         * @param callback function([subscription Object]) where the updated subscription
-         *     will be passed if the request succeeds
-         * @param args list of arguments to modify
-         */
-        that.edit = function(callback, args) {
-            // No sense in making an api call if there is nothing to change
-            if (!args || args.length === 0) {
+    function dispatch(api, request, context, done) {
+        var chain = api.middleware.slice(0);
+        var cancelled = false;
+        var answer;
+        var refused = null;
+        var k;
+
+        context.started = new Date().getTime();
+
+        /* The params of the body may be the ones of the caller, also used as
+         * the cache key. Hooks that change them get their own copy. */
+        if (chain.length > 0 && request.body && request.body.params &&
+                typeof request.body.params === 'object') {
+            request.body.params = extend(request.body.params, {});
+        }
+
+        function finish(failure, data) {
+            var hook, replaced;
+
+            if (cancelled) {
                 return;
             }
-        
-            var params = { 'id' : this.id, 'title' : this.name, 'url' : this.url };
-            var key;             
-            for (key in args) {
-                if (args.hasOwnProperty(key)) {
-                    params[key] = args[key];
+
+            for (var j = chain.length - 1; j >= 0; j--) {
+                hook = failure ? chain[j].failure : chain[j].response;
+                if (typeof hook !== 'function') {
+                    continue;
+                }
+
+                try {
+                    replaced = hook.call(chain[j], failure || data, request, context);
+                } catch (e) {
+                    failure = middlewareFailure(e);
+                    continue;
+                }
+
+                if (replaced !== undefined) {
+                    failure = null;
+                    data = replaced;
                 }
             }
 
-            /* Reference to this object to use in the callback */
-            var subscription = this;
+            done(failure, data);
+        }
 
-            this.getApi().callServerMethod('/subscriptions', 'edit', 
-                function(results) {
-                    var key;
-                    if (results.length > 0) {
-                        /* Update values in the current subscription */
-                        for (key in results[0]) {
-                            if (results[0].hasOwnProperty(key)) {
-                                subscription[key] = results[0][key];
-                            }
-                        }
+        for (k = 0; k < chain.length; k++) {
+            if (typeof chain[k].request !== 'function') {
+                continue;
+            }
 
-                        if (callback) {
-                            /* Pass a newly created subscription to the callback */
-                            callback(Subscription(subscription.getApi(), results[0]));
-                        }
-                    }
-                }, params);
+            try {
+                answer = chain[k].request(request, context);
+            } catch (e) {
+                refused = middlewareFailure(e);
+            }
+
+            /* Short-circuited: only the middleware up to this one see the
+             * response */
+            if (refused || answer !== undefined) {
+                chain = chain.slice(0, k + 1);
+                setTimeout(function() {
+                    finish(refused, answer);
+                }, 0);
+                return function() {
+                    cancelled = true;
+                };
+            }
+        }
+
+        /* The middleware may have changed the body of the request */
+        api.backend.serialize(request);
+
+        var stop = api.transport(request, finish);
+
+        return function() {
+            cancelled = true;
+            if (typeof stop === 'function') {
+                stop();
+            }
         };
-        
+    }
+
+    /**
+     * Middleware see the requests of an Api before they are sent, and the 
+     * raw responses before they are unwrapped. A middleware is an object 
+     * with any of the hooks
+     *
+     *     request(request, context)  called before sending the request (see
+     *                      transports). It may change the request, or answer
+     *                      it by returning a raw response; then the request
+     *                      is not sent. Throwing a failure object 
+     *                      ({kind : PutioError.TIMEOUT}) fails the request.
+     *                      request.body.params is a copy, changing it does
+     *                      not change the params of the caller.
+     *     response(data, request, context)  called with the raw response. 
+     *                      Returning a value replaces the response.
+     *     failure(failure, request, context)  called with the failure object 
+     *                      of the transport. Returning a value replaces the 
+     *                      failure with that raw response.
+     *
+     * where context has the path, method and params of the call, the attempt
+     * number and the time the request was started. Hooks run for every 
+     * attempt, retries included. 
+     *
+     * Middleware are added with api.use() or the middleware option:
+     *
+     *     var timing = putio.middleware.timing();
+     *     var api = putio(API_KEY, API_SECRET, null, {
+     *         middleware : [putio.middleware.logger(), timing]
+     *     });
+     *     ...
+     *     alert(timing.metrics['/files list'].average);
+     */
+    var middleware = {
         /**
-         * Deletes permanently the subscription
+         * Logs every request and its outcome, without the api secret nor the
+         * oauth token.
          *
-         * @param callback function(success) to call if the request succeds 
+         * @param log function(line) that writes the log (optional, defaults
+         *      to console.log)
          */
-        that.remove = function(callback) {
-            var params = { 'id' : this.id };
+        logger : function(log) {
+            log = log || function(line) {
+                if (typeof console !== 'undefined') {
+                    console.log(line);
+                }
+            };
+
+            function elapsed(context) {
+                return (new Date().getTime() - context.started) + 'ms';
+            }
+
+            return {
+                request : function(request, context) {
+                    log('putio > ' + (request.http_method || 'GET') + ' ' + 
+                        redact(request.url) + (request.data ? ' ' + redact(request.data) : ''));
+                },
+
+                response : function(data, request, context) {
+                    log('putio < ' + context.path + ' ' + context.method + ' ' + 
+                        elapsed(context));
+                },
+
+                failure : function(failure, request, context) {
+                    log('putio ! ' + context.path + ' ' + context.method + ' ' + 
+                        elapsed(context) + ' ' + failure.kind + 
+                        (failure.status ? ' ' + failure.status : ''));
+                }
+            };
+        },
 
-            this.getApi().callServerMethod('/subscriptions', 'delete', 
-                function(results) {
-                    if (callback) {
-                        callback(true);
-                    }
-                }, params);
-        };
-        
-        
         /**
-         * Toggles the activity status of a subscription item. You may also
-         * change this value by editing the subscription item. This is just a
-         * shortcut we use.
-         *  
-         * @params callback function([subscription Object]) where the updated status 
-         *     will be passed if the request succedds
+         * Measures the time the server takes to answer. The returned 
+         * middleware has a metrics attribute mapping "path method" to
+         * {count, errors, total, average, max, last}, in milliseconds, and a
+         * reset() method.
+         *
+         * @param on_metric function(metric) called after every request with
+         *      {path, method, attempt, duration, ok} (optional)
          */
-        that.toggleStatus = function(callback) {
-            var params = { 'id' : this.id };
+        timing : function(on_metric) {
+            function record(metrics, context, ok) {
+                var key = context.path + ' ' + context.method;
+                var duration = new Date().getTime() - context.started;
+                var metric = metrics[key] || 
+                    { count : 0, errors : 0, total : 0, average : 0, max : 0, last : 0 };
+
+                metric.count++;
+                metric.errors += ok ? 0 : 1;
+                metric.total += duration;
+                metric.average = metric.total / metric.count;
+                metric.max = Math.max(metric.max, duration);
+                metric.last = duration;
+                metrics[key] = metric;
+
+                if (on_metric) {
+                    invoke(on_metric, { path : context.path, method : context.method,
+                        attempt : context.attempt, duration : duration, ok : ok });
+                }
+            }
 
-            /* Reference to this object to use in the callback */
-            var subscription = this;
+            return {
+                metrics : {},
 
-            this.getApi().callServerMethod('/subscriptions', 'pause', 
-                function(results) {
-                    if (results.length > 0) {
-                        subscription.paused = results[0].paused;
+                reset : function() {
+                    this.metrics = {};
+                },
+
+                response : function(data, request, context) {
+                    record(this.metrics, context, true);
+                },
+
+                failure : function(failure, request, context) {
+                    record(this.metrics, context, false);
+                }
+            };
+        },
 
-                        if (callback) {
-                            /* Pass the subscription to the callback */
-                            callback(Subscription(subscription.getApi(), results[0]));
-                        }
-                    }
-                }, params);
-        };
-        
         /**
-         * Refreshes the subscription info. Use this to get the latest info
-         * about the subscriptions.
+         * Answers some calls with fake responses, and lets the rest through.
+         * Routes are as in transports.memory(): "path method" (or the key of
+         * v2 requests) mapped to the results, or to a function(params, 
+         * request) that returns them.
          *
-         * @param callback function([subscription Object]) where the updated 
-         *     subscription object will be passed if the request is successful.
-        */
-        that.updateInfo = function(callback) {
-            var params = { 'id' : this.id };
+         * Example:
+         *     api.use(putio.middleware.fake({
+         *         '/transfers list' : [{ id : 1, name : 'file.avi', status : 'Waiting' }]
+         *     }));
+         *
+         * The returned middleware has a route(key, results) method to add 
+         * routes.
+         *
+         * @param routes initial routes (optional)
+         */
+        fake : function(routes) {
+            routes = routes || {};
+
+            return {
+                request : function(request, context) {
+                    var route = routes[request.key || request.path + ' ' + request.method];
+                    if (route === undefined) {
+                        return undefined;
+                    }
+                    return routeResponse(route, request);
+                },
 
-            /* Reference to this object to use in the callback */
-            var subscription = this;
+                route : function(key, results) {
+                    routes[key] = results;
+                }
+            };
+        }
+    };
 
-            this.getApi().callServerMethod('/subscriptions', 'info', 
-                function(results) {
-                    var key;
-                    if (results.length > 0) {
-                        /* Update values in the current subscription. */
-                        for (key in results[0]) {
-                            if (results[0].hasOwnProperty(key)) {
-                                subscription[key] = results[0][key];
-                            }
-                        }
+    /**
+     * File types of the v2 api, and the v1 type of the items that have them
+     */
+    var V2_FILE_TYPES = {
+        'FOLDER'  : 'folder',
+        'FILE'    : 'file',
+        'AUDIO'   : 'audio',
+        'VIDEO'   : 'movie',
+        'IMAGE'   : 'image',
+        'ARCHIVE' : 'compressed',
+        'PDF'     : 'pdf',
+        'TEXT'    : 'text',
+        'SWF'     : 'swf'
+    };
 
-                        if (callback) {
-                            /* Pass the subscription to the callback */
-                            callback(Subscription(subscription.getApi(), 
-                                results[0]));
-                        }
-                    }
-                }, params);
-        };
-        
-        /** 
-         * Private function to add a 
-         * filter to the list 
-         */
-        function addFilter(filter, args) {
-            var filters = filter.split(',');
-            
-            var i = filters.length, 
-                k = 0;
-                
-            for (k = 0; k < args.length; k++) {
-                filters[i++] = args[k];
-            }
+    /**
+     * @return the v1 type of a v2 file, see Item
+     */
+    function v2FileType(file) {
+        var content_type = file.content_type || '';
 
-            for (k = 0; k < filters.length; k++) {
-                filters[k] = trim(filters[k]);
+        if (file.file_type && V2_FILE_TYPES[file.file_type]) {
+            return V2_FILE_TYPES[file.file_type];
+        }
+        if (content_type === 'application/x-directory') {
+            return 'folder';
+        }
+        if (content_type === 'application/pdf') {
+            return 'pdf';
+        }
+        if (content_type.indexOf('video/') === 0) {
+            return 'movie';
+        }
+        if (content_type.indexOf('audio/') === 0) {
+            return 'audio';
+        }
+        if (content_type.indexOf('image/') === 0) {
+            return 'image';
+        }
+        if (content_type.indexOf('text/') === 0) {
+            return 'text';
+        }
+        return 'unknown';
+    }
+
+    /**
+     * @return a copy of object with the attributes of extra added
+     */
+    function extend(object, extra) {
+        var copy = {};
+        var key;
+        for (key in object) {
+            if (object.hasOwnProperty(key)) {
+                copy[key] = object[key];
             }
+        }
+        for (key in extra) {
+            if (extra.hasOwnProperty(key)) {
+                copy[key] = extra[key];
+            }
+        }
+        return copy;
+    }
 
-            return filters.join(',');
+    /**
+     * Converts a v2 file into the attributes of a v1 item, see Item. As in 
+     * v1, the urls have no token, see backend.downloadUrl().
+     */
+    function v2Item(context, file) {
+        var type = v2FileType(file);
+        var file_url = context.url + '/files/' + file.id;
+
+        return extend(file, {
+            type : type,
+            is_dir : type === 'folder',
+            screenshot_url : file.screenshot || '',
+            thumb_url : file.screenshot || '',
+            file_icon_url : file.icon || '',
+            download_url : file_url + '/download',
+            stream_url : type === 'folder' ? '' : file_url + '/stream',
+            mp4_stream_url : file.is_mp4_available ? file_url + '/mp4/stream' : '',
+            createdat : file.created_at ? Math.round(Date.parse(file.created_at) / 1000) : null
+        });
+    }
+
+    /**
+     * @return the list of v2 files as v1 items
+     */
+    function v2Items(context, files) {
+        var items = [];
+        for (var k = 0; k < files.length; k++) {
+            items[items.length] = v2Item(context, files[k]);
         }
-        
-        /**
-         * Private function to remove a set of filters
-         * to a the provided filter
-         */
-        function removeFilter(filter, args) {
-            var filters = filter.split(',');
-            
-            var i = 0, j, k, ok;
-            var new_filters = [];
+        return items;
+    }
 
-            /* TODO: Is there a better way to implement this? */
-            for (j = 0; j < filters.length; j++) {
-                ok = true;
-                for (k = 0; k < args.length; k++) {
-                    /* We don't want this filter in the new list */
-                    if (trim(filters[j]) === trim(args[k])) {
-                        ok = false;
-                        break;
-                    }
-                }
+    /**
+     * The v2 api returns whole listings, so the items from the offset of the
+     * v1 call on are given as a single page, whatever its limit. The page 
+     * walkers stop there, as the page reaches the total, instead of 
+     * downloading the listing again for every page.
+     */
+    function v2Page(list, params) {
+        var offset = params.offset || 0;
 
-                if (ok) {
-                    new_filters[i++] = trim(filters[j]);
+        return { results : list.slice(offset), total : list.length };
+    }
+
+    /**
+     * Converts a v2 transfer into the attributes of a v1 transfer
+     */
+    function v2Transfer(transfer) {
+        var status = String(transfer.status || '');
+        if (status === 'IN_QUEUE') {
+            status = 'Waiting';
+        } else {
+            status = status.charAt(0) + status.substring(1).toLowerCase();
+        }
+
+        return extend(transfer, { status : status });
+    }
+
+    /**
+     * Converts a v2 rss feed into the attributes of a v1 subscription
+     */
+    function v2Subscription(feed) {
+        return extend(feed, {
+            name : feed.title,
+            url : feed.rss_source_url,
+            do_filters : feed.keyword || '',
+            dont_filters : feed.unwanted_keywords || '',
+            parent_folder_id : feed.parent_dir_id,
+            last_update_time : feed.last_fetch || '',
+            paused : !!feed.paused
+        });
+    }
+
+    /**
+     * @return the form of a v2 rss feed request, from the params of a v1
+     *      subscription request
+     */
+    function v2FeedForm(params) {
+        var form = {
+            title : params.title,
+            rss_source_url : params.url
+        };
+
+        if (params.parent_folder_id !== undefined) {
+            form.parent_dir_id = params.parent_folder_id;
+        }
+        if (params.do_filters !== undefined) {
+            form.keyword = params.do_filters;
+        }
+        if (params.dont_filters !== undefined) {
+            form.unwanted_keywords = params.dont_filters;
+        }
+        return form;
+    }
+
+    /**
+     * Converts the v2 account info into the attributes of a v1 user
+     */
+    function v2User(info) {
+        var disk = info.disk || {};
+
+        return extend(info, {
+            name : info.username,
+            disk_quota : disk.size,
+            disk_quota_available : disk.avail
+        });
+    }
+
+    /**
+     * Calls of the library, as v1 "path method", and how to make them with 
+     * the v2 api. Every route has:
+     *
+     *     request(params)  the v2 request for the v1 params: http_method, 
+     *                      path, and query or form
+     *     response(body, params, context)  the v1 results for the v2 
+     *                      response body, as an object with a results 
+     *                      attribute and optionally total, id and user_name
+     *
+     * Calls without a route are not available with the v2 backend.
+     */
+    var V2_ROUTES = {
+        '/files list' : {
+            request : function(params) {
+                return { path : '/files/list', query : { parent_id : params.parent_id || 0 } };
+            },
+            response : function(body, params, context) {
+                return v2Page(v2Items(context, body.files || []), params);
+            }
+        },
+        '/files info' : {
+            request : function(params) {
+                return { path : '/files/' + params.id };
+            },
+            response : function(body, params, context) {
+                return { results : [v2Item(context, body.file)] };
+            }
+        },
+        '/files search' : {
+            request : function(params) {
+                return { path : '/files/search/' + encodeURIComponent(params.query) +
+                    '/page/-1' };
+            },
+            response : function(body, params, context) {
+                return v2Page(v2Items(context, body.files || []), params);
+            }
+        },
+        '/files create_dir' : {
+            request : function(params) {
+                return { http_method : 'POST', path : '/files/create-folder', 
+                    form : { name : params.name, parent_id : params.parent_id } };
+            },
+            response : function(body, params, context) {
+                return { results : [v2Item(context, body.file)] };
+            }
+        },
+        '/files rename' : {
+            request : function(params) {
+                return { http_method : 'POST', path : '/files/rename', 
+                    form : { file_id : params.id, name : params.name } };
+            },
+            response : function(body, params) {
+                return { results : [{ id : params.id, name : params.name }] };
+            }
+        },
+        '/files move' : {
+            request : function(params) {
+                return { http_method : 'POST', path : '/files/move', 
+                    form : { file_ids : params.id, parent_id : params.parent_id } };
+            },
+            response : function(body, params) {
+                return { results : [{ id : params.id, parent_id : params.parent_id }] };
+            }
+        },
+        '/files delete' : {
+            request : function(params) {
+                return { http_method : 'POST', path : '/files/delete', 
+                    form : { file_ids : params.id } };
+            },
+            response : function(body, params) {
+                return { results : [{ id : params.id }] };
+            }
+        },
+        '/files mp4' : {
+            request : function(params) {
+                return { path : '/files/' + params.id + '/mp4' };
+            },
+            response : function(body, params) {
+                return { results : [extend({ id : params.id }, body.mp4)] };
+            }
+        },
+        '/files convert_mp4' : {
+            request : function(params) {
+                return { http_method : 'POST', path : '/files/' + params.id + '/mp4' };
+            },
+            response : function(body, params) {
+                /* The answer has no status, the conversion is queued */
+                return { results : [{ id : params.id, status : 'IN_QUEUE', 
+                    percent_done : 0 }] };
+            }
+        },
+        '/transfers list' : {
+            request : function(params) {
+                return { path : '/transfers/list' };
+            },
+            response : function(body) {
+                var transfers = body.transfers || [];
+                var results = [];
+                for (var k = 0; k < transfers.length; k++) {
+                    results[results.length] = v2Transfer(transfers[k]);
+                }
+                return { results : results };
+            }
+        },
+        '/transfers add' : {
+            request : function(params) {
+                var links = params.links || [];
+                if (links.length !== 1) {
+                    throw "The v2 api adds a single link per call";
+                }
+                return { http_method : 'POST', path : '/transfers/add', 
+                    form : { url : links[0] } };
+            },
+            response : function(body) {
+                return { results : [v2Transfer(body.transfer)] };
+            }
+        },
+        '/transfers cancel' : {
+            request : function(params) {
+                return { http_method : 'POST', path : '/transfers/cancel', 
+                    form : { transfer_ids : params.id } };
+            },
+            response : function(body, params) {
+                return { results : [{ id : params.id }] };
+            }
+        },
+        '/subscriptions list' : {
+            request : function(params) {
+                return { path : '/rss/list' };
+            },
+            response : function(body) {
+                var feeds = body.feeds || [];
+                var results = [];
+                for (var k = 0; k < feeds.length; k++) {
+                    results[results.length] = v2Subscription(feeds[k]);
+                }
+                return { results : results };
+            }
+        },
+        '/subscriptions info' : {
+            request : function(params) {
+                return { path : '/rss/' + params.id };
+            },
+            response : function(body) {
+                return { results : [v2Subscription(body.feed)] };
+            }
+        },
+        '/subscriptions create' : {
+            request : function(params) {
+                return { http_method : 'POST', path : '/rss/create', 
+                    form : v2FeedForm(params) };
+            },
+            response : function(body) {
+                return { results : [v2Subscription(body.feed)] };
+            }
+        },
+        '/subscriptions edit' : {
+            request : function(params) {
+                return { http_method : 'POST', path : '/rss/' + params.id, 
+                    form : v2FeedForm(params) };
+            },
+            response : function(body, params) {
+                return { results : [v2Subscription(extend(v2FeedForm(params), 
+                    { id : params.id }))] };
+            }
+        },
+        '/subscriptions delete' : {
+            request : function(params) {
+                return { http_method : 'POST', path : '/rss/' + params.id + '/delete' };
+            },
+            response : function(body, params) {
+                return { results : [{ id : params.id }] };
+            }
+        },
+        '/subscriptions pause' : {
+            request : function(params) {
+                return { http_method : 'POST', path : '/rss/' + params.id + 
+                    (params.paused ? '/resume' : '/pause') };
+            },
+            response : function(body, params) {
+                return { results : [{ id : params.id, paused : !params.paused }] };
+            }
+        },
+        '/user info' : {
+            request : function(params) {
+                return { path : '/account/info' };
+            },
+            response : function(body) {
+                return { results : [v2User(body.info)], id : body.info.user_id,
+                    user_name : body.info.username };
+            }
+        },
+        '/user acctoken' : {
+            /* The oauth token is also the access token, the call only checks
+             * that it is valid */
+            request : function(params) {
+                return { path : '/account/info' };
+            },
+            response : function(body, params, context) {
+                return { results : { token : context.token }, id : body.info.user_id,
+                    user_name : body.info.username };
+            }
+        },
+        '/user friends' : {
+            request : function(params) {
+                return { path : '/friends/list' };
+            },
+            response : function(body) {
+                var friends = body.friends || [];
+                var results = [];
+                for (var k = 0; k < friends.length; k++) {
+                    results[results.length] = extend(friends[k], 
+                        { id : friends[k].id || friends[k].name });
                 }
+                return { results : results };
             }
+        }
+    };
+
+    // Calls of V2_ROUTES that the v1 api does not have
+    var V2_ONLY_CALLS = {
+        '/files mp4' : true,
+        '/files convert_mp4' : true
+    };
 
-            return new_filters.join(',');
+    /**
+     * @return the object as an url encoded string
+     */
+    function formEncode(object) {
+        var pairs = [];
+        var key;
+        for (key in object) {
+            if (object.hasOwnProperty(key) && object[key] !== undefined) {
+                pairs[pairs.length] = encodeURIComponent(key) + '=' + 
+                    encodeURIComponent(object[key]);
+            }
         }
-        
+        return pairs.join('&');
+    }
+
+    /**
+     * Backends turn the calls of the library into requests for a version of
+     * the put.io api, and their responses back into the results of the v1 
+     * api, so the models (Item, Folder, Transfer...) work the same with 
+     * every backend. Each Api instance uses one backend, chosen with the 
+     * backend option:
+     *
+     *     var api = putio(null, null, null, { 
+     *         backend : 'v2', oauth_token : OAUTH_TOKEN
+     *     });
+     *
+     * A backend is an object with the attributes
+     *
+     *     backend.version  version of the api
+     *     backend.url      default base url of the api
+     *     backend.encode(base_url, path, method, params, post)  returns the 
+     *                      attributes of the transport request (endpoint,
+     *                      http_method, jsonp, key and body) for a v1 call.
+     *                      post is true if the transport can send the 
+     *                      credentials in a POST body. It throws if the call
+     *                      is not available.
+     *     backend.serialize(request)  sets the url and data of the transport
+     *                      request from its body and client_id. It is called
+     *                      again after the middleware, that may change the
+     *                      body.
+     *     backend.decode(data, path, method, params, base_url)  same as
+     *                      unwrapResponse
+     *     backend.streamUrl(url, token)  adds the access token to a stream url
+     *     backend.downloadUrl(url, token)  adds the access token to a download
+     *                      url
+     *     backend.supports(path, method)  true if the call is available, 
+     *                      encode() throws for the others
+     */
+    var backends = {
         /**
-         * Adds keyword(s) to "do fetch" filter
-         *
-         * @param callback function([subscription Object]) where the updated subscription will
-         *     be passed if the request succeeds.
-         * @param args list of strings to use as do filter.
+         * The v1 api, authenticated with the api key and secret of the user
          */
-        that.addDoFilters = function(callback, args) {
-            args = args || [];
-
-            var params = { 
-                "id" : this.id,
-                "title" : this.name,
-                "url" : this.url,
-                "do_filters" : addFilter(this.do_filters, args)
-            };
+        v1 : function(api_key, api_secret) {
+            return {
+                version : 1,
+                url : RPC_URL,
+
+                encode : function(base_url, path, method, params, post) {
+                    if (!this.supports(path, method)) {
+                        throw "The method " + method + " in path " + path + 
+                            " is not available in the v1 api";
+                    }
 
-            /* Reference to this object to use in the callback */
-            var subscription = this;
+                    var body = ApiRequest(api_key, api_secret, params);
+                    if (!body) {
+                        throw "The api key and secret are required";
+                    }
 
-            this.getApi().callServerMethod('/subscriptions', 'edit', 
-                function(results) {
-                    if (results.length > 0) {
-                        // Replace the current object's do filters
-                        subscription.do_filters = results[0].do_filters;
-
-                        if (callback) {
-                            /* Pass the subscription to the callback */
-                            callback(Subscription(subscription.getApi(), 
-                                results[0]));
-                        }
+                    return {
+                        endpoint : base_url + path + "?method=" + method,
+                        http_method : post ? 'POST' : 'GET',
+                        data : null,
+                        jsonp : !post,
+                        key : path + ' ' + method,
+                        body : body
+                    };
+                },
+
+                /* The secret only goes in the url of GET requests */
+                serialize : function(request) {
+                    var request_param = "request=" + 
+                        encodeURIComponent(request.body.toString());
+
+                    request.url = request.endpoint;
+                    if (request.http_method === 'POST') {
+                        request.data = request_param;
+                    } else {
+                        request.url += "&" + request_param;
                     }
-                }, params);
-        };
-        
-        /**
-         * Adds keyword(s) to "dont fetch" filter
-         *
-         * @param callback function([subscription Object]) where the updated subscription will
-         *     be passed if the request succeeds.
-         * @param args list of strings to use as do filter.
-         */
-        that.addDontFilters = function(callback, args) {
-            args = args || [];
+                    if (request.client_id) {
+                        request.url += "&client_id=" + encodeURIComponent(request.client_id);
+                    }
+                    return request;
+                },
 
-            var params = { 
-                "id" : this.id,
-                "title" : this.name,
-                "url" : this.url,
-                "dont_filters" : addFilter(this.dont_filters, args)
-            };
+                decode : unwrapResponse,
 
-            /* Reference to this object to use in the callback */
-            var subscription = this;
+                streamUrl : function(url, token) {
+                    return url + '/atk/' + token;
+                },
 
-            this.getApi().callServerMethod('/subscriptions', 'edit', 
-                function(results) {
-                    if (results.length > 0) {
-                        subscription.dont_filters = results[0].dont_filters;
+                downloadUrl : function(url, token) {
+                    return url + '/atk/' + token;
+                },
+
+                supports : function(path, method) {
+                    return !V2_ONLY_CALLS.hasOwnProperty(path + ' ' + method);
+                }
+            };
+        },
 
-                        if (callback) {
-                            /* Pass the subscription to the callback */
-                            callback(Subscription(subscription.getApi(), 
-                                results[0]));
-                        }
-                    }
-                }, params);
-        };
-        
         /**
-         * Deletes keyword(s) to "do fetch" filter
-         *
-         * @param callback function([subscription Object]) where the updated subscription will
-         *      be passed if the request succeeds.
-         * @param args list of strings to use as do filter.
+         * The REST api v2, authenticated with an OAuth2 token, see oauth. 
+         * Dashboard messages, url analysis and the folder map are not 
+         * available, and friends have no dir_id.
          */
-        that.delDoFilters = function(callback, args) {
-            args = args || [];
-
-            var params = { 
-                "id" : this.id,
-                "title" : this.name,
-                "url" : this.url,
-                "do_filters" : removeFilter(this.do_filters, args)
-            };
+        v2 : function(oauth_token) {
+            return {
+                version : 2,
+                url : RPC_V2_URL,
+
+                encode : function(base_url, path, method, params) {
+                    var route = V2_ROUTES[path + ' ' + method];
+                    if (!this.supports(path, method)) {
+                        throw "The method " + method + " in path " + path + 
+                            " is not available in the v2 api";
+                    }
+                    if (!oauth_token) {
+                        throw "An oauth token is required";
+                    }
 
-            /* Reference to this object to use in the callback */
-            var subscription = this;
+                    var request = route.request(params || {});
+                    var http_method = request.http_method || 'GET';
+
+                    return {
+                        endpoint : base_url + request.path,
+                        http_method : http_method,
+                        data : null,
+                        jsonp : false,
+                        key : http_method + ' ' + request.path,
+                        body : { params : (http_method === 'POST' ? request.form : 
+                            request.query) || {} }
+                    };
+                },
+
+                serialize : function(request) {
+                    var query = { oauth_token : oauth_token };
+                    if (request.http_method === 'GET') {
+                        query = extend(request.body.params, query);
+                    } else {
+                        request.data = formEncode(request.body.params);
+                    }
+                    if (request.client_id) {
+                        query.client_id = request.client_id;
+                    }
 
-            this.getApi().callServerMethod('/subscriptions', 'edit', 
-                function(results) {
-                    if (results.length > 0) {
-                        subscription.do_filters = results[0].do_filters;
+                    request.url = request.endpoint + '?' + formEncode(query);
+                    return request;
+                },
 
-                        if (callback) {
-                            /* Pass the subscription to the callback */
-                            callback(Subscription(subscription.getApi(),
-                                results[0]));
+                decode : function(data, path, method, params, base_url) {
+                    if (typeof data === 'string') {
+                        try {
+                            data = JSON.parse(data);
+                        } catch (e) {
+                            return { error : PutioError("The server response is not valid JSON",
+                                path, method, params, PutioError.JSON) };
                         }
                     }
-                }, params);
-        };
-        
-        /**
-         * Deletes keyword(s) to "dont fetch" filter
-         *
-         * @param callback function([subscription Object]) where the updated subscription will
-         *      be passed if the request succeeds.
-         * @param args list of strings to use as do filter.
-         */
-        this.delDontFilters = function(callback, args) {
-            args = args || [];
-
-            var params = { 
-                "id" : this.id,
-                "title" : this.name,
-                "url" : this.url,
-                "dont_filters" : removeFilter(this.dont_filters, args)
-            };
 
-            /* Reference to this object to use in the callback */
-            var subscription = this;
+                    if (!data || typeof data !== 'object') {
+                        return { error : PutioError("The server response is empty", path, 
+                            method, params, PutioError.JSON) };
+                    }
 
-            this.getApi().callServerMethod('/subscriptions', 'edit', 
-                function(results) {
-                    if (results.length > 0) {
-                        subscription.dont_filters = results[0].dont_filters;
+                    if (data.status === 'ERROR') {
+                        return { error : PutioError(data.error_message || data.error_type,
+                            path, method, params, PutioError.API) };
+                    }
 
-                        if (callback) {
-                            /* Pass the subscription to the callback */
-                            callback(Subscription(subscription.getApi(), 
-                                results[0]));
-                        }
+                    var converted;
+                    try {
+                        converted = V2_ROUTES[path + ' ' + method].response(data, 
+                            params || {}, { url : base_url, token : oauth_token });
+                    } catch (e) {
+                        return { error : PutioError("The server response is malformed", 
+                            path, method, params, PutioError.JSON) };
                     }
-                }, params);
-        };
-        
-        return that;
-    }
-    
+
+                    return { 
+                        data : { 
+                            id : converted.id, 
+                            user_name : converted.user_name,
+                            response : { total : converted.total, results : converted.results }
+                        },
+                        results : converted.results
+                    };
+                },
+
+                streamUrl : function(url, token) {
+                    return url + '?oauth_token=' + encodeURIComponent(token);
+                },
+
+                downloadUrl : function(url, token) {
+                    return url + '?oauth_token=' + encodeURIComponent(token);
+                },
+
+                supports : function(path, method) {
+                    return V2_ROUTES.hasOwnProperty(path + ' ' + method);
+                }
+            };
+        }
+    };
+
     /**
-     * Defines an api request. This object is serialized when API calls are
-     * made.
-     * 
-     * @param api_key the user api key
-     * @param api_secret the user api_secret
-     * @param params an array with the parameters for the request
+     * Helpers for the OAuth2 implicit flow of the v2 api: send the user to 
+     * authorizeUrl(), put.io sends them back to the redirect uri with the
+     * token in the fragment, and tokenFromUrl() reads it:
+     *
+     *     window.location = putio.oauth.authorizeUrl(CLIENT_ID, 
+     *         'http://example.com/index.html');
+     *     ...
+     *     var token = putio.oauth.tokenFromUrl(window.location.href);
      */
-    function ApiRequest(api_key, api_secret, params) {
-        if (!api_key || !api_secret) {
-            return; //undefined
+    var oauth = {
+        /**
+         * @param client_id id of the application registered in put.io
+         * @param redirect_uri page put.io sends the user back to
+         * @param url base url of the v2 api (optional)
+         * @return the url of the put.io page where the user grants access
+         */
+        authorizeUrl : function(client_id, redirect_uri, url) {
+            return (url || RPC_V2_URL) + '/oauth2/authenticate?' + formEncode({
+                client_id : client_id,
+                response_type : 'token',
+                redirect_uri : redirect_uri
+            });
+        },
+
+        /**
+         * @param url url put.io redirected to
+         * @return the token in the url, or null if there is none
+         */
+        tokenFromUrl : function(url) {
+            var match = /[#&]access_token=([^&]+)/.exec(url || '');
+            return match ? decodeURIComponent(match[1]) : null;
         }
-        
-        return {
-            api_key : api_key,
-            api_secret : api_secret,
-            params : params || {},
-            
-            /**
-             * Return a string containing this request as JSON. 
-             * This method depends on the JSON.stringify method. 
-             * 
-             * TODO: Multible browser support has not been tested. 
-             * For deployed applications this method should be rewritten or
-             * the json2.js library, available in http://www.json.org/js.html, should
-             * be used.
-             */
-            toString : function() {
-                return JSON.stringify(this);
-            }
-        };
-    }
-    
+    };
+
     /**
-     * @param msg Message returned from putio server
-     * @param path Path in the server where the request was made
-     * @param method Method call that generated the error
-     * @param params Arguments given to the method call
-     * @return an error object containing the provided information
+     * @return the backend for the options of an Api, see backends
      */
-    function PutioError(msg, path, method, params) {
-        return {
-            msg : msg,
-            path : path,
-            method : method,
-            params : params || {},
-            toString : function() {
-                return "An error ocurred on calling the method " + this.method +
-                    " in path " + this.path + " with message: "+ this.msg;
-            }
-        };
+    function createBackend(api_key, api_secret, options) {
+        if (options.backend && typeof options.backend === 'object') {
+            return options.backend;
+        }
+        if (options.backend === 'v2' || (!options.backend && options.oauth_token)) {
+            return backends.v2(options.oauth_token);
+        }
+        return backends.v1(api_key, api_secret);
     }
     
     /*
@@ -1403,101 +5829,477 @@ var putio = (function() {
      * Api Methods:
      *
      * api.getItems()
+     * api.eachPage()
+     * api.getAllItems()
+     * api.getSortedItems()
+     * api.iterateItems()
      * api.getTransfers()
      * api.getUser()
+     * api.cancelTransfers()
      * api.createFolder()
+     * api.removeItems()
+     * api.moveItems()
      * api.searchItems()
      * api.getMessages()
      * api.createSubscription()
      * api.getSubscription()
      * api.getFolder_list()
      * api.updateUserToken()
+     * api.getAccessToken()
      * api.getUserInfo()
      * api.createBucket()
+     * api.watchFolder()
+     * api.getRootFolder()
+     * api.use()
+     * api.on()
+     * api.once()
+     * api.off()
+     *
+     * The methods that call the server take an optional last argument, the
+     * options of callServerMethod(), for instance to abort the call:
+     *
+     *     var controller = new AbortController();
+     *     api.getItems(show_items, folder_id, null, null, null, 
+     *         { signal : controller.signal });
+     *     controller.abort();
      *
      * @param api_key
      * @param api_secret
      * @param error_func optional callback to be used on the event
      *      of an error response from the API. See set_error_callback() for 
      *      more information.
+     * @param options optional object with settings for this instance:
+     *      backend: 'v1' (default), 'v2' or a backend object, see backends.
+     *          Defaults to 'v2' if an oauth_token is given.
+     *      oauth_token: OAuth2 token of the user for the v2 api, in place of 
+     *          the api key and secret. See oauth.
+     *      url: base url of the api, for instance to use a local mock server
+     *          or a proxy. Defaults to the url of the backend.
+     *      https: if true, the api is called with https even if url says http
+     *      timeout: time to wait for a response, in milliseconds. Defaults to
+     *          DEFAULT_TIMEOUT.
+     *      retries: number of retries for idempotent methods. Defaults to 
+     *          DEFAULT_RETRY.retries.
+     *      retry_delay: time to wait before the first retry, in milliseconds.
+     *          It doubles on every retry, up to max_retry_delay.
+     *      max_retry_delay: see retry_delay
+     *      page_size: default number of items per request for getItems() and 
+     *          the page walkers, such as eachPage()
+     *      client_id: identifier of the application, sent with every request 
+     *          and in the User-Agent header where the transport allows it
+     *      token_ttl: time an access token is considered valid, in milliseconds
+     *      transport: function used to send the requests, see transports.
+     *          Defaults to the best transport available: the PutioHttp 
+     *          plugin in PhoneGap, then jQuery, XMLHttpRequest and node.
+     *      credentials: where the v1 api key and secret are sent. 'auto' 
+     *          (default) sends them in a POST body when the transport can, 
+     *          and in the url of a JSONP request otherwise. 'body' and 'query'
+     *          force one or the other.
+     *      middleware: list of middleware to pass every request and response
+     *          through, see middleware and api.use()
+     *      listeners: object mapping event names to listeners, added before
+     *          the first request is sent. See the events below.
+     *      cache: true or an object with cache options, to keep server
+     *          responses in memory. See ResponseCache.
+     *      journal: true or an object with journal options, to save the 
+     *          changes made while offline and send them once back online.
+     *          See Journal.
+     *
+     * Events, see Emitter for api.on(), api.once() and api.off():
+     *
+     *      request:start   {path, method, params} a call to the server starts
+     *      request:end     {path, method, params, duration, attempts, cached}
+     *                      the call succeeded
+     *      request:error   {path, method, params, duration, error} the call
+     *                      failed or was aborted
+     *      token:refreshed {token} a new access token was received
+     *      item:changed    {id, item, changes} an item was renamed or moved,
+     *                      or fresh data from the server changed it, see 
+     *                      ItemMap. item is null for bulk operations on 
+     *                      items that were not loaded.
+     *      item:removed    {id, item} an item was deleted
+     *
+     * Example:
+     *      api.on('item:changed', function(event) {
+     *          alert(event.id + ' is now ' + event.changes.name);
+     *      });
      */
-    return function Api(api_key, api_secret, error_func) {        
-        /*
-         * Internal method for getting the user token.
-         *
-         * @param callback function(token) where the token will be passed
-         */
-        function getUserToken(api, callback) {
-            api.callServerMethod('/user', 'acctoken', 
-                function(results) {
-                    callback(results.token);
-                });
-        }
-        
+    function Api(api_key, api_secret, error_func, options) {        
+        options = options || {};
+
+        var backend = createBackend(api_key, api_secret, options);
+
         var that = {
             /**
              * @var Error callback
              */
             error : error_func,
-            
+
+            /**
+             * @var Function used to send the requests, see transports
+             */
+            transport : options.transport || defaultTransport(),
+
+            /**
+             * @var Where the v1 credentials are sent: 'auto', 'body' or 
+             *      'query'. See the credentials option.
+             */
+            credentials : options.credentials || 'auto',
+
+            /**
+             * @var Version of the put.io api used by this instance, see backends
+             */
+            backend : backend,
+
+            /**
+             * @var Base url of the api
+             */
+            url : options.https ? (options.url || backend.url).replace(/^http:/, 'https:') :
+                (options.url || backend.url),
+
+            /**
+             * @var Default number of items per request, null to use the 
+             *      defaults of each method
+             */
+            page_size : options.page_size || null,
+
+            /**
+             * @var Identifier of the application using the library
+             */
+            client_id : options.client_id || null,
+
+            /**
+             * @var List of middleware, see middleware and use()
+             */
+            middleware : (options.middleware || []).slice(0),
+
+            /**
+             * @var Response cache, null unless enabled. See ResponseCache
+             */
+            cache : options.cache ? ResponseCache(options.cache) : null,
+
+            /**
+             * @var Time to wait for a response, in milliseconds
+             */
+            timeout : options.timeout || DEFAULT_TIMEOUT,
+
+            /**
+             * @var Retry policy for idempotent methods, see DEFAULT_RETRY
+             */
+            retry : {
+                retries : options.retries !== undefined ? options.retries : 
+                    DEFAULT_RETRY.retries,
+                delay : options.retry_delay || DEFAULT_RETRY.delay,
+                max_delay : options.max_retry_delay || DEFAULT_RETRY.max_delay
+            },
             
             /**
              * Performs an ajax request to the put.io api, passing as data 
              * the request parameter and passing the put.io response to the provided callback 
              * when the response is ready.
              * 
-             * This is the only method in the library that requires the use of the jQuery library.
+             * The request is sent with api.transport.
              * 
-             * TODO: Detect HTTP errors and pass them to the error function
+             * Network errors, timeouts, HTTP errors, API errors and malformed
+             * responses are passed to the error function and reject the returned
+             * promise, see PutioError. Idempotent methods (see IDEMPOTENT_METHODS)
+             * are retried on network errors, timeouts and server errors, waiting 
+             * longer before each attempt as set in api.retry.
              * 
              * @param path for the request. For instance to make a call to the files 
              *      api '/files' must be given as path.
              * @param method particular method of the api that is being called, for instance to list
              *      the files 'list' must be given as method.
              * @param callback function(results) where the response object will be passed once the 
-             *      response is ready.
+             *      response is ready (optional).
              * @param params parameters for the request (optional)
+             * @param transform function(results, response) that converts the server 
+             *      results into the value passed to the callback and to the promise 
+             *      (optional). It also receives the whole response, to read other
+             *      attributes such as response.total. If it throws, the call fails
+             *      with a PutioError.
+             * @param options per request options (optional):
+             *      timeout: time to wait for a response, defaults to api.timeout
+             *      retries: number of retries, defaults to api.retry.retries for
+             *          idempotent methods and 0 for the rest
+             *      cache: false to ignore cached responses, if the cache is enabled
+             *      signal: AbortSignal-style object that aborts the request, 
+             *          see onAbort
+             *      journal: false to fail instead of saving the call in the 
+             *          journal when offline, see Journal
+             * @return a promise for the (transformed) results, rejected with a
+             *      PutioError if the request fails. The promise has an abort()
+             *      method that cancels the request: the callback is not called,
+             *      and the promise is rejected with a PutioError of kind ABORT.
+             *
+             * Every call emits request:start, and then either request:end or
+             * request:error, see Api.
              */
-            callServerMethod : function(path, method, callback, params) {
-                /* Create a new request */
-                var request = ApiRequest(api_key, api_secret, params);
-                var url = RPC_URL + path + "?method=" + method;
-                
+            callServerMethod : function(path, method, callback, params, transform, options) {
+                options = options || {};
+
                 var api = this;
-                
-                /* Send the request to the server */
-                jQuery.get(url, "request="+request, function(data) {
-                    /* Temporary workaround. If the data returned
-                     * is a string, then we need to parse 
-                     * it as a JSON object.
-                     */
-                    if (typeof data === 'string') {
-                        data = JSON.parse(data);
+                var user_agent = 'putio.js/' + VERSION;
+                if (api.client_id) {
+                    user_agent += ' ' + api.client_id;
+                }
+
+                var timeout = options.timeout || api.timeout;
+                var retries = options.retries !== undefined ? options.retries :
+                    (isIdempotent(path, method) ? api.retry.retries : 0);
+                var cache = api.cache && options.cache !== false && 
+                    api.cache.isCached(path, method) ? api.cache : null;
+                var aborted = false;
+                var cancel = null;
+                var retry_timer = null;
+                var reject_aborted;
+                var started = new Date().getTime();
+                var ended = false;
+                var journal = api.journal && options.journal !== false && 
+                    api.journal.records(path, method) ? api.journal : null;
+
+                /* Saves the call in the journal, see Journal */
+                function offlineError() {
+                    var error = PutioError("You are offline, the change will be sent " +
+                        "once you are back online", path, method, params, PutioError.OFFLINE);
+                    error.operation = journal.record(path, method, params);
+                    return error;
+                }
+
+                /* Emits request:end or request:error, once per call */
+                function emitEnd(name, event) {
+                    if (ended) {
+                        return;
+                    }
+                    ended = true;
+
+                    event.path = path;
+                    event.method = method;
+                    event.params = params;
+                    event.duration = new Date().getTime() - started;
+                    api.emit(name, event);
+                }
+
+                function abort() {
+                    if (aborted) {
+                        return;
+                    }
+                    aborted = true;
+
+                    clearTimeout(retry_timer);
+                    if (cancel) {
+                        cancel();
+                        cancel = null;
+                    }
+
+                    var error = PutioError("The request was aborted", path, method, 
+                        params, PutioError.ABORT);
+                    emitEnd('request:error', { error : error });
+                    reject_aborted(error);
+                }
+
+                /* The signal was aborted before the call, nothing is sent */
+                if (options.signal && options.signal.aborted) {
+                    return abortable(rejected(PutioError("The request was aborted", path, 
+                        method, params, PutioError.ABORT)), function() {});
+                }
+
+                if (journal && !journal.online) {
+                    var offline = offlineError();
+                    if (typeof api.error === 'function') {
+                        api.error(offline);
+                    }
+                    return abortable(rejected(offline), function() {});
+                }
+
+                api.emit('request:start', { path : path, method : method, params : params });
+
+                var promise = newPromise(function(resolve, reject) {
+                    var attempt = 0;
+                    var cached = cache ? cache.lookup(path, method, params) : null;
+                    var served = false;
+
+                    var request;
+
+                    reject_aborted = reject;
+
+                    if (typeof api.transport !== 'function') {
+                        var error = PutioError("No transport available to send the request",
+                            path, method, params, PutioError.NETWORK);
+                        emitEnd('request:error', { error : error });
+                        reject(error);
+                        return;
+                    }
+
+                    /* Create a new request for the api of the backend */
+                    try {
+                        request = api.backend.encode(api.url, path, method, params,
+                            api.credentials === 'body' || 
+                            (api.credentials !== 'query' && canPost(api.transport)));
+                    } catch (e) {
+                        fail(PutioError(e.message || String(e), path, method, params,
+                            PutioError.ARGUMENT));
+                        return;
+                    }
+
+                    request.client_id = api.client_id;
+                    api.backend.serialize(request);
+                    request.api_version = api.backend.version;
+                    request.path = path;
+                    request.method = method;
+                    request.timeout = timeout;
+                    request.user_agent = user_agent;
+
+                    /* Report the error to the error function and to the promise */
+                    function fail(error) {
+                        /* A stale response was already served, keep it */
+                        if (served) {
+                            return;
+                        }
+
+                        error.attempts = attempt;
+
+                        /* The access token is probably no longer valid either */
+                        if (error.kind === PutioError.HTTP && 
+                                (error.status === 401 || error.status === 403)) {
+                            api.tokens.invalidate();
+                        }
+
+                        /* The call never reached the server, send it later */
+                        if (journal && error.kind === PutioError.NETWORK) {
+                            error = offlineError();
+                            error.attempts = attempt;
+                        }
+
+                        if (typeof api.error === 'function') {
+                            api.error(error);
+                        }
+                        emitEnd('request:error', { error : error });
+                        reject(error);
+                    }
+
+                    /* Pass the (transformed) results to the promise and callback,
+                     * accepted is called once the transform succeeded. Returns
+                     * false if the results were not delivered. */
+                    function deliver(server_response, accepted) {
+                        var value = server_response.results;
+
+                        if (aborted) {
+                            return false;
+                        }
+                        if (transform) {
+                            try {
+                                value = transform(value, server_response);
+                            } catch (e) {
+                                if (e instanceof PutioError) {
+                                    /* Schema errors of the models */
+                                    e.path = path;
+                                    e.method = method;
+                                    e.params = params || {};
+                                } else {
+                                    e = PutioError(e.message || String(e), path, method, params);
+                                }
+                                fail(e);
+                                return false;
+                            }
+                        }
+                        if (accepted) {
+                            accepted();
+                        }
+
+                        resolve(value);
+                        emitEnd('request:end', { attempts : attempt, cached : attempt === 0 });
+                        invoke(callback, value);
+                        return true;
                     }
 
-                    if (data.error) {
-                        /* If no callback is defined for
-                         * api errors, then an exception is thrown
-                         */
-                        if (typeof api.error !== 'function') {
-                            throw data.error_message;
+                    function succeed(data) {
+                        var response = api.backend.decode(data, path, method, params, 
+                            api.url);
+
+                        if (response.error) {
+                            // Pass the error message to the error function
+                            // defined in the api
+                            fail(response.error);
+                            return;
                         }
                         
-                        // Pass the error message to the error function
-                        // defined in the api
-                        api.error(PutioError(data.error_message, path, method, params)); 
+                        /* Set the user info in the API */
+                        if (response.data.id !== undefined || api.backend.version === 1) {
+                            api.user_id = response.data.id;
+                            api.user_name = response.data.user_name;
+                        }
+
+                        if (api.cache && !isIdempotent(path, method)) {
+                            api.cache.afterWrite(path, method, params);
+                        }
 
-                        return false;
+                        if (!cache) {
+                            deliver(response.data.response);
+                            return;
+                        }
+
+                        /* The stale response was already delivered, only
+                         * call the callback again if the response changed */
+                        if (served && JSON.stringify(response.data.response) === cached.body) {
+                            cache.store(path, method, params, response.data.response);
+                            return;
+                        }
+                        served = false;
+
+                        /* Only responses the transform accepts are cached */
+                        deliver(response.data.response, function() {
+                            cache.store(path, method, params, response.data.response);
+                        });
                     }
-                    
-                    /* Set the user info in the API */
-                    api.user_id = data.id;
-                    api.user_name = data.user_name;
-                    
-                    if (callback) {
-                        callback(data.response.results);
+
+                    function send() {
+                        var answered = false;
+                        attempt++;
+
+                        /* Send the request to the server */
+                        var stop = dispatch(api, request, { path : path, method : method,
+                                params : params, attempt : attempt }, function(failure, data) {
+                            answered = true;
+                            cancel = null;
+
+                            if (aborted) {
+                                return;
+                            }
+                            if (!failure) {
+                                succeed(data);
+                                return;
+                            }
+
+                            var error = transportError(failure, path, method, params);
+                            if (attempt <= retries && error.isRetryable()) {
+                                retry_timer = setTimeout(send, backoffDelay(api.retry, attempt));
+                                return;
+                            }
+
+                            fail(error);
+                        });
+
+                        if (!answered && typeof stop === 'function') {
+                            cancel = stop;
+                        }
                     }
-                }, 'jsonp');
+
+                    if (cached) {
+                        if (!deliver(cached.response) || cached.fresh) {
+                            return;
+                        }
+                        served = true;
+                    }
+
+                    send();
+                });
+
+                var unlisten = onAbort(options.signal, abort);
+                promise.then(unlisten, unlisten);
+
+                /* Errors are already reported to the error function */
+                return abortable(handled(promise), abort);
             },
         
             /**
@@ -1505,33 +6307,90 @@ var putio = (function() {
              * a error response from the API. The function must receive
              * an object as returned by PutioError.
              * 
-             * If no error callback is defined, then the default behavior is to 
-             * throw an exception with the corresponding message.
+             * The error function is called for every failed request, in addition
+             * to rejecting the promise returned by the failed method.
              *
              * @param error_func function where the error messages will be passed.
              */
             setErrorCallback: function(error_func) {
                 this.error = error_func;
             },
+
+            /**
+             * Keeps the server responses in memory, see ResponseCache.
+             *
+             * @param options true or an object with the cache options
+             */
+            enableCache : function(options) {
+                this.cache = ResponseCache(options || true);
+            },
+
+            /**
+             * Stops caching responses and drops the cached ones.
+             */
+            disableCache : function() {
+                this.cache = null;
+            },
+
+            /**
+             * Adds a middleware, that will see every request and response
+             * after the ones already added. See middleware.
+             *
+             * @param middleware object with request, response and failure hooks
+             * @return this api, to chain calls
+             */
+            use : function(middleware) {
+                this.middleware[this.middleware.length] = middleware;
+                return this;
+            },
+
+            /**
+             * Removes a middleware added with use() or the middleware option.
+             *
+             * @param middleware the middleware to remove
+             */
+            removeMiddleware : function(middleware) {
+                for (var k = 0; k < this.middleware.length; k++) {
+                    if (this.middleware[k] === middleware) {
+                        this.middleware.splice(k, 1);
+                        return;
+                    }
+                }
+            },
+
+            /**
+             * Set the function used to send the requests to the server.
+             *
+             * @param transport function(request, done), see transports
+             */
+            setTransport : function(transport) {
+                this.transport = transport;
+            },
             
             /**
-             * Before streaming a video/audio file, its best to update the token.
-             * This method doesn't return anything. It just updates the Api 
-             * instance.
+             * Requests a new access token, even if the current one is still valid.
+             * Prefer getAccessToken(), that only calls the server when needed.
              * 
              * @param callback optional function that will be called when the 
              *  token is updated;
+             * @return a promise for true
              */
             updateUserToken : function(callback) {
-                /* Reference api object to use it in the callback */
-                var api = this;
+                return handled(this.tokens.refresh().then(function(token) {
+                    invoke(callback, true);
+                    return true;
+                }));
+            },
 
-                getUserToken(this, function(token) {
-                    api.access_token = token;
-                    if (callback) {
-                        callback(true);
-                    }
-                });
+            /**
+             * Passes a valid access token to the callback, requesting a new one
+             * only if there is no token or it expired.
+             *
+             * @param callback function(token) where the token will be passed (optional)
+             * @return a promise for the token
+             */
+            getAccessToken : function(callback) {
+                return this.tokens.get(callback);
             },
             
             /**
@@ -1580,60 +6439,217 @@ var putio = (function() {
              *      retrieved items will be passed 
              * @param parent_id id of the folder to list the contents (optional,
              *      defaults to 0, the base folder)
-             * @param limit limit of results showed (optional, defaults to 20)
+             * @param limit limit of results showed (optional, defaults to the
+             *      page_size option, or 20). The v2 api returns every item from
+             *      the offset on, see v2Page().
              * @param offset offset for the results (optional, defaults to 0)
              * @param args list of extra arguments such as type and orderby
+             * @param options options of the request, such as a signal to abort it,
+             *      see callServerMethod() (optional)
+             * @return a promise for the list of items
              */
-            getItems : function(callback, parent_id, limit, offset, args) {
-                /* No need to call the server */
-                if (!callback) {
-                    return;
-                }
-
-                /* Default values */
-                limit = limit || 20;
-                offset = offset || 0;
-                parent_id = parent_id || 0;
-                args = args || {};
-
-                var params = {'limit' : limit, 'offset' : offset, 'parent_id' : parent_id};
-                var key;
-                for (key in args) {
-                    if (args.hasOwnProperty(key)) {
-                        params[key] = args[key];
-                    }
-                }
+            getItems : function(callback, parent_id, limit, offset, args, options) {
+                /* Reference this api object for using in the callback */
+                var api = this;
 
-                if (params.type) {
-                    params.type = fileTypeToInt(params.type);
-                }
+                return api.callServerMethod('/files', 'list', callback, 
+                    listParams(parent_id, limit || api.page_size, offset, args), 
+                    function(results) {
+                        /* Pass the item list to the function */
+                        return itemList(api, results);
+                    }, options);
+            },
 
+            /**
+             * Same as getItems(), but the promise resolves with an object with
+             * the attributes items (the list of items) and total (the total 
+             * number of items reported by the server, if any).
+             *
+             * @param options options of the request, such as a signal to abort it,
+             *      see callServerMethod() (optional)
+             * @return a promise for the page
+             */
+            getItemsPage : function(parent_id, limit, offset, args, options) {
                 /* Reference this api object for using in the callback */
                 var api = this;
 
-                api.callServerMethod('/files', 'list', 
-                    function(results) {
-                        var items = [];
-                        var k;
-                        for (k = 0; k < results.length; k++) {
-                            items[items.length] = Item(api, results[k]);
-                        }
+                return api.callServerMethod('/files', 'list', null, 
+                    listParams(parent_id, limit, offset, args), function(results, response) {
+                        return { items : itemList(api, results), total : response.total };
+                    }, options);
+            },
 
-                        /* Pass the item list to the function */
-                        callback(items);
-                    }, params);
+            /**
+             * Walks all the items of a folder, requesting one page after the
+             * other, so folders with thousands of items are listed completely.
+             *
+             * Example:
+             *     api.eachPage(function(items, info) {
+             *         for (var i = 0; i < items.length; i++) {
+             *             alert(items[i].name);
+             *         }
+             *         // Return false to stop walking
+             *     }, folder_id, {
+             *         on_total : function(total) {
+             *             alert(total + ' items');
+             *         }
+             *     });
+             *
+             * @param on_page function(items, info) called for every page, where info
+             *      has the attributes offset, page (starting at 0) and total. 
+             *      Returning false, or a promise for false, stops the walk.
+             * @param parent_id id of the folder (optional, defaults to 0)
+             * @param options object with the optional attributes:
+             *      page_size: items per page, defaults to the page_size option
+             *          of the instance, or DEFAULT_PAGE_SIZE
+             *      on_total: function(total) called once with the total number
+             *          of items
+             *      args: extra arguments for getItems(), such as type and orderby
+             *      signal: AbortSignal-style object that stops the walk
+             * @return a promise for the number of walked items, with an abort()
+             *      method, see walkPages
+             */
+            eachPage : function(on_page, parent_id, options) {
+                options = pageOptions(this, options);
 
-                /* Update the user token */
-                this.updateUserToken();
+                var api = this;
+                return walkPages(function(limit, offset) {
+                    return api.getItemsPage(parent_id, limit, offset, options.args);
+                }, on_page, options);
             },
 
+            /**
+             * Gets all the items of a folder, however many pages they take.
+             *
+             * @param callback function(items) where the complete list will be passed
+             * @param parent_id id of the folder (optional, defaults to 0)
+             * @param options as in eachPage()
+             * @return a promise for the list of items, with an abort() method
+             */
+            getAllItems : function(callback, parent_id, options) {
+                var all = [];
+                var walk = this.eachPage(function(items) {
+                    all = all.concat(items);
+                }, parent_id, options);
+
+                return abortable(handled(walk.then(function() {
+                    invoke(callback, all);
+                    return all;
+                })), walk.abort);
+            },
 
-            getItem : function(callback, file_id, args) {
-                /* No need to call the server */
-                if (!callback) {
-                    return;
+            /**
+             * Gets all the items of a folder, sorted and filtered. The server
+             * sorts by date and type with the orderby argument, see 
+             * getItems(). The listing is then sorted again on the client, 
+             * which orders by name and size, puts the folders first, and 
+             * covers backends that ignore orderby. See sortItems() and 
+             * filterItems().
+             *
+             * Example:
+             *     api.getSortedItems(show_items, folder_id, { by : 'name', 
+             *         folders_first : true, types : ['movie'] });
+             *
+             * @param callback function(items) where the sorted list will be 
+             *      passed
+             * @param parent_id id of the folder (optional, defaults to 0)
+             * @param order by, direction and folders_first as in sortItems(),
+             *      and types: list of FILETYPES names to keep (optional)
+             * @param options page_size and signal, as in getAllItems() 
+             *      (optional)
+             * @return a promise for the sorted list, with an abort() method
+             */
+            getSortedItems : function(callback, parent_id, order, options) {
+                order = order || {};
+                options = pageOptions(this, options);
+
+                if (ITEM_ORDERS[order.by]) {
+                    options.args = extend(options.args || {}, { orderby : 
+                        ITEM_ORDERS[order.by] + '_' + (order.direction === 'desc' ? 'desc' : 'asc') });
+                }
+
+                try {
+                    filterItems([], order.types);
+                } catch (e) {
+                    return abortable(rejected(PutioError(String(e), '/files', 'list', 
+                        { 'parent_id' : parent_id || 0 }, PutioError.ARGUMENT)), function() {});
                 }
 
+                var listing = this.getAllItems(null, parent_id, options);
+                return abortable(handled(listing.then(function(items) {
+                    var sorted = sortItems(filterItems(items, order.types), order);
+                    invoke(callback, sorted);
+                    return sorted;
+                })), listing.abort);
+            },
+
+            /**
+             * @param parent_id id of the folder (optional, defaults to 0)
+             * @param options page_size and args, as in eachPage() (optional)
+             * @return an asynchronous iterator over the items of the folder.
+             *      Each call to next() returns a promise for {value : item, done}.
+             *      Call return() on the iterator to stop early.
+             */
+            iterateItems : function(parent_id, options) {
+                options = pageOptions(this, options);
+
+                var api = this;
+                return pageIterator(function(limit, offset) {
+                    return api.getItemsPage(parent_id, limit, offset, options.args);
+                }, options);
+            },
+
+            /**
+             * Watches a folder, listing it every interval, and reports the 
+             * items that were added, removed, renamed or changed size. The 
+             * first listing is sent right away and is not reported, unless
+             * options.initial is set.
+             *
+             * Example:
+             *     var watcher = api.watchFolder(folder_id, 60000);
+             *     watcher.on('added', function(event) {
+             *         alert(event.item.name + ' arrived');
+             *     });
+             *     ...
+             *     watcher.stop();
+             *
+             * @param parent_id id of the folder (optional, defaults to 0)
+             * @param interval time between listings, in milliseconds 
+             *      (optional, defaults to DEFAULT_WATCH_INTERVAL)
+             * @param options object with the optional attributes:
+             *      page_size, args: as in eachPage()
+             *      fields: attributes compared to tell if an item changed, 
+             *          see diffItems()
+             *      initial: if true, the items of the first listing are 
+             *          reported as added
+             *      signal: AbortSignal-style object that stops the watcher
+             * @return the watcher, see FolderWatcher for its events. Call 
+             *      stop() on it to stop watching.
+             */
+            watchFolder : function(parent_id, interval, options) {
+                return FolderWatcher(this, parent_id, interval, pageOptions(this, options));
+            },
+
+            /**
+             * @return the Folder of the root of the account, for instance to
+             *      walk or summarize every file. It is not requested from
+             *      the server.
+             */
+            getRootFolder : function() {
+                return rootFolder(this);
+            },
+
+            /**
+             * Gets the information of a single item.
+             *
+             * @param callback function(item) where the retrieved item will be passed
+             * @param file_id id of the item
+             * @param args list of extra arguments for the request (optional)
+             * @param options options of the request, such as a signal to abort it,
+             *      see callServerMethod() (optional)
+             * @return a promise for the item
+             */
+            getItem : function(callback, file_id, args, options) {
                 var params = {'id' : file_id};                
                 var key;
                 for (key in args) {
@@ -1645,14 +6661,11 @@ var putio = (function() {
                 /* Reference this api object for using in the callback */
                 var api = this;
 
-                api.callServerMethod('/files', 'info', 
+                return api.callServerMethod('/files', 'info', callback, params,
                     function(results) {
-                        /* Pass the item list to the function */
-                        callback(Item(api, results[0]));
-                    }, params);
-
-                /* Update the user token */
-                this.updateUserToken();
+                        /* Pass the item to the function */
+                        return createItem(api, first(results));
+                    }, options);
             },
 
             
@@ -1661,20 +6674,47 @@ var putio = (function() {
              * function(tranfers) if the method succeeds
              * @param callback function to pass the list of transfers from the 
              *   server.
+             * @param options options of the request, such as a signal to abort it,
+             *      see callServerMethod() (optional)
+             * @return a promise for the list of transfers
              */
-            getTransfers : function(callback) {
-                if (!callback) {
-                    return false;
-                }
-                
+            getTransfers : function(callback, options) {
                 var api = this;
-                api.callServerMethod('/transfers', 'list', function(results) {
-                    var transfers = [];
-                    for (var i = 0; i < results.length; i++) {
-                        transfers[transfers.length] = Transfer(api, results[i]);
-                    }
-                    callback(transfers);
-                });
+                return api.callServerMethod('/transfers', 'list', callback, {},
+                    function(results) {
+                        var transfers = [];
+                        for (var i = 0; i < results.length; i++) {
+                            transfers[transfers.length] = Transfer(api, results[i]);
+                        }
+                        return transfers;
+                    }, options);
+            },
+            
+            /**
+             * Cancels several transfers, as removeItems() does.
+             *
+             * @param callback function(result) where the aggregate result will
+             *      be passed (optional)
+             * @param ids list of transfer ids
+             * @param options concurrency, on_progress and signal (optional), 
+             *      see runBulk
+             * @return a promise for {succeeded : [ids], failed : [{id, error}]},
+             *      with an abort() method
+             */
+            cancelTransfers : function(callback, ids, options) {
+                var api = this;
+
+                if (!isArray(ids)) {
+                    return rejected(PutioError("A list of ids is required to cancel transfers",
+                        '/transfers', 'cancel', { 'ids' : ids }, PutioError.ARGUMENT));
+                }
+
+                return runBulk(callback, ids, function(id) {
+                    return api.callServerMethod('/transfers', 'cancel', null, { 'id' : id },
+                        function(results) {
+                            return true;
+                        });
+                }, options);
             },
             
             /**
@@ -1684,8 +6724,11 @@ var putio = (function() {
              * @param callback function(item) where the newly created item will be passed.
              * @param name name for the new folder (optional, defaults to 'New Folder')
              * @param parent_id id of the parent folder (optional, defaults to 0 for the root folder)
+             * @param options options of the request, such as a signal to abort it,
+             *      see callServerMethod() (optional)
+             * @return a promise for the created folder
              */
-            createFolder : function(callback, name, parent_id) {
+            createFolder : function(callback, name, parent_id, options) {
                 name = name || "New Folder";
                 parent_id = parent_id || 0;
 
@@ -1694,13 +6737,80 @@ var putio = (function() {
                 /* Reference this api object for using in the callback */
                 var api = this;
 
-                api.callServerMethod('/files', 'create_dir', 
+                return api.callServerMethod('/files', 'create_dir', callback, params,
                     function(results) {
-                        if (callback && results.length > 0) {
-                            /* Pass the item to the callback */
-                            callback(Folder(api, results[0]));
-                        }
-                    }, params);
+                        /* Pass the folder to the callback */
+                        return createItem(api, first(results));
+                    }, options);
+            },
+            
+            /**
+             * Deletes several items permanently, sending at most 
+             * options.concurrency requests at the same time. An item that
+             * cannot be deleted does not stop the others.
+             *
+             * Example:
+             *     api.removeItems(function(result) {
+             *         if (result.failed.length > 0) {
+             *             alert(result.failed[0].error.msg);
+             *         }
+             *     }, [4394, 4395, 4396]);
+             *
+             * @param callback function(result) where the aggregate result will
+             *      be passed (optional)
+             * @param ids list of item ids
+             * @param options concurrency, on_progress and signal (optional), 
+             *      see runBulk
+             * @return a promise for {succeeded : [ids], failed : [{id, error}]},
+             *      with an abort() method
+             */
+            removeItems : function(callback, ids, options) {
+                var api = this;
+
+                if (!isArray(ids)) {
+                    return rejected(PutioError("A list of ids is required to delete items",
+                        '/files', 'delete', { 'ids' : ids }, PutioError.ARGUMENT));
+                }
+
+                return runBulk(callback, ids, function(id) {
+                    return api.callServerMethod('/files', 'delete', null, { 'id' : id },
+                        function(results) {
+                            api.emit('item:removed', { id : id, 
+                                item : api.items.get(id) || null });
+                            return true;
+                        });
+                }, options);
+            },
+
+            /**
+             * Moves several items to another folder, as removeItems() does.
+             *
+             * @param callback function(result) where the aggregate result will
+             *      be passed (optional)
+             * @param ids list of item ids
+             * @param target_id id of the target folder. Defaults to 0.
+             * @param options concurrency, on_progress and signal (optional), 
+             *      see runBulk
+             * @return a promise for {succeeded : [ids], failed : [{id, error}]},
+             *      with an abort() method
+             */
+            moveItems : function(callback, ids, target_id, options) {
+                var api = this;
+                target_id = target_id || 0;
+
+                if (!isArray(ids)) {
+                    return rejected(PutioError("A list of ids is required to move items",
+                        '/files', 'move', { 'ids' : ids, 'parent_id' : target_id }, 
+                        PutioError.ARGUMENT));
+                }
+
+                return runBulk(callback, ids, function(id) {
+                    return api.callServerMethod('/files', 'move', null, 
+                        { 'id' : id, 'parent_id' : target_id }, function(results) {
+                            api.items.update(id, { parent_id : target_id });
+                            return true;
+                        });
+                }, options);
             },
             
             /**
@@ -1722,26 +6832,80 @@ var putio = (function() {
              *  @param callback function(items) where the list of retrieved items is passed. 
              *      If no items are found, an empty array is given
              *  @param query query string   
+             *  @param options options of the request, such as a signal to abort it,
+             *      see callServerMethod() (optional)
+             *  @return a promise for the list of items
              */
-            searchItems : function(callback, query) {
-                if (!callback || !query) {
-                    return;
-                }
-
+            searchItems : function(callback, query, options) {
                 /* Reference this api object for using in the callback */
                 var api = this;
                 var params = {'query' : query };
 
-                this.callServerMethod('/files', 'search', 
-                    function(results) {
-                        var items = [], k;
-                        for (k = 0; k < results.length; k++) {
-                            items[items.length] = Item(api, results[k]);
-                        }
+                if (!query) {
+                    return rejected(PutioError("A query is required to search items",
+                        '/files', 'search', params, PutioError.ARGUMENT));
+                }
 
+                return this.callServerMethod('/files', 'search', callback, params,
+                    function(results) {
                         /* Pass the list to the callback */
-                        callback(items);
-                    }, params);
+                        return itemList(api, results);
+                    }, options);
+            },
+
+            /**
+             * Same as searchItems(), for a single page of results. 
+             *
+             * @param query query string
+             * @param limit maximum number of results, not applied by the v2 
+             *      api, see v2Page()
+             * @param offset offset of the first result
+             * @param options options of the request, such as a signal to abort it,
+             *      see callServerMethod() (optional)
+             * @return a promise for the page, as in getItemsPage()
+             */
+            searchItemsPage : function(query, limit, offset, options) {
+                var api = this;
+                var params = {'query' : query, 'limit' : limit, 'offset' : offset };
+
+                if (!query) {
+                    return rejected(PutioError("A query is required to search items",
+                        '/files', 'search', params, PutioError.ARGUMENT));
+                }
+
+                return this.callServerMethod('/files', 'search', null, params,
+                    function(results, response) {
+                        return { items : itemList(api, results), total : response.total };
+                    }, options);
+            },
+
+            /**
+             * Walks the search results page by page, if the server paginates
+             * them. If it does not, the single page of results is walked.
+             *
+             * @param on_page function(items, info) called for every page
+             * @param query query string, as in searchItems()
+             * @param options page_size and on_total, as in eachPage() (optional)
+             * @return a promise for the number of walked items
+             */
+            eachSearchPage : function(on_page, query, options) {
+                var api = this;
+                return walkPages(function(limit, offset) {
+                    return api.searchItemsPage(query, limit, offset);
+                }, on_page, pageOptions(this, options));
+            },
+
+            /**
+             * @param query query string, as in searchItems()
+             * @param options page_size, as in eachPage() (optional)
+             * @return an asynchronous iterator over the search results, as in
+             *      iterateItems()
+             */
+            iterateSearch : function(query, options) {
+                var api = this;
+                return pageIterator(function(limit, offset) {
+                    return api.searchItemsPage(query, limit, offset);
+                }, pageOptions(this, options));
             },
             
             /**
@@ -1750,16 +6914,15 @@ var putio = (function() {
              *
              * @param callback function(messages) where the list of message
              *      objects will be passed
+             * @param options options of the request, such as a signal to abort it,
+             *      see callServerMethod() (optional)
+             * @return a promise for the list of messages
              */
-            getMessages : function(callback) {
-                if (!callback) {
-                    return;
-                }
-
+            getMessages : function(callback, options) {
                 /* Reference this api object for using in the callback */
                 var api = this;
 
-                this.callServerMethod('/messages', 'list', 
+                return this.callServerMethod('/messages', 'list', callback, {},
                     function(results) {
                         var messages = [], k;
                         for (k = 0; k < results.length; k++) {
@@ -1767,8 +6930,8 @@ var putio = (function() {
                         }
 
                         /* Pass the message list to the callback */
-                        callback(messages);
-                    });
+                        return messages;
+                    }, options);
             },
             
             /**
@@ -1786,8 +6949,11 @@ var putio = (function() {
              * @param name name for the new subscription
              * @param url url for the new subscription
              * @param args additional arguments for the new subscription
+             * @param options options of the request, such as a signal to abort it,
+             *      see callServerMethod() (optional)
+             * @return a promise for the created subscription
              */
-            createSubscription : function(callback, name, url, args) {
+            createSubscription : function(callback, name, url, args, options) {
                 var params = { 'title' : name, 'url' : url };
                 var key;
                 for (key in args) {
@@ -1799,14 +6965,11 @@ var putio = (function() {
                 /* Reference this api object for using in the callback */
                 var api = this;
 
-                this.callServerMethod('/subscriptions', 'create', 
+                return this.callServerMethod('/subscriptions', 'create', callback, params,
                     function(results) {
-                        if (callback && results.length > 0) {
-                            /* Pass the subscription to the callback */
-                            callback(Subscription(api, results[0]));
-                        }
-                    }, params);
-
+                        /* Pass the subscription to the callback */
+                        return Subscription(api, first(results));
+                    }, options);
             },
             
             /**
@@ -1814,25 +6977,25 @@ var putio = (function() {
              *
              * @param callback function([Subscription Array]) where the list of subscriptions will
              *      will be passed if the request succeeds.
+             * @param options options of the request, such as a signal to abort it,
+             *      see callServerMethod() (optional)
+             * @return a promise for the list of subscriptions
              */
-            getSubscriptions : function(callback) {
-                if (!callback) {
-                    return;
-                }
-
+            getSubscriptions : function(callback, options) {
                 /* Reference this api object for using in the callback */
                 var api = this;
 
-                this.callServerMethod('/subscriptions', 'list', function(results) {
-                    var subscriptions = [], k;
-                    for (k = 0; k < subscriptions.length; k++) {
-                        subscriptions[subscriptions.length] = Subscription(api, 
-                            results[k]);
-                    }
+                return this.callServerMethod('/subscriptions', 'list', callback, {},
+                    function(results) {
+                        var subscriptions = [], k;
+                        for (k = 0; k < results.length; k++) {
+                            subscriptions[subscriptions.length] = Subscription(api, 
+                                results[k]);
+                        }
 
-                    /* Pass the list to the callback */
-                    callback(subscriptions);
-                });
+                        /* Pass the list to the callback */
+                        return subscriptions;
+                    }, options);
             },
             
             /**
@@ -1855,16 +7018,15 @@ var putio = (function() {
              *
              * @param callback function([Folder Array]) where the folder list will be passed if
              *      the request succeeds.
+             * @param options options of the request, such as a signal to abort it,
+             *      see callServerMethod() (optional)
+             * @return a promise for the list of folders
              */
-            getFolderList : function(callback) {
-                if (!callback) {
-                    return;
-                }
-
+            getFolderList : function(callback, options) {
                 /* Reference this api object for using in the callback */
                 var api = this;
                 
-                var createFolderList = function(treeList, folders) {
+                var createFolderList = function(treeList, folders, parent_id) {
                     folders = folders || [];
 
                     /* Make a copy of the sub directory info */
@@ -1873,25 +7035,31 @@ var putio = (function() {
                     /* Delete it from the main list element */
                     delete treeList.dirs;
 
+                    /* The tree tells the container folder */
+                    if (parent_id !== undefined && treeList.parent_id === undefined) {
+                        treeList.parent_id = parent_id;
+                    }
+
                     /* Append the parent folder */
-                    folders[folders.length] = Folder(api, treeList);
+                    folders[folders.length] = api.items.merge(Folder(api, treeList));
 
                     /* Then append the child folders */
                     var k;
                     if (dirs.length > 0) {
                         for (k = 0; k < dirs.length; k++) {
-                            createFolderList(dirs[k], folders);
+                            createFolderList(dirs[k], folders, treeList.id);
                         }
                     }
                 };
 
-                this.callServerMethod('/files', 'dirmap', function(results) {
-                    var folders = [];
-                    createFolderList(results, folders); 
+                return this.callServerMethod('/files', 'dirmap', callback, {},
+                    function(results) {
+                        var folders = [];
+                        createFolderList(results, folders); 
 
-                    /* Pass the list of folders to the callback */
-                    callback(folders);
-                });
+                        /* Pass the list of folders to the callback */
+                        return folders;
+                    }, options);
             },
             
             /**
@@ -1913,21 +7081,19 @@ var putio = (function() {
              *  
              * @param callback function(user), where the user object will be 
              *  passed after the response is ready
+             * @param options options of the request, such as a signal to abort it,
+             *      see callServerMethod() (optional)
+             * @return a promise for the user
              */
-            getUser : function(callback) {
-                if (!callback) {
-                    return;
-                }
-
+            getUser : function(callback, options) {
                 /* Reference api object to use it in the callback */
                 var api = this;
 
-                this.callServerMethod('/user', 'info', function(results) {
-                    if (results.length > 0) {
+                return this.callServerMethod('/user', 'info', callback, {},
+                    function(results) {
                         /* Pass the user to the callback */
-                        callback(User(api, results[0]));
-                    }
-                });
+                        return User(api, first(results));
+                    }, options);
             },
              
             /**
@@ -1968,24 +7134,24 @@ var putio = (function() {
              *
              * @params callback function([Friend Array]) where the list of 
              *     friends will be passed if the request succeeds.
+             * @param options options of the request, such as a signal to abort it,
+             *      see callServerMethod() (optional)
+             * @return a promise for the list of friends
              */
-            getFriends : function(callback) {
-                if (!callback) {
-                    return false;
-                }
-
+            getFriends : function(callback, options) {
                 /* Reference api object to use it in the callback */
                 var api = this;
 
-                this.callServerMethod('/user', 'friends', function(results) {
-                    var friends = [], k;
-                    for (k = 0; k < results.length; k++) {
-                        friends[friends.length] = Friend(api, results[k]);
-                    }
+                return this.callServerMethod('/user', 'friends', callback, {},
+                    function(results) {
+                        var friends = [], k;
+                        for (k = 0; k < results.length; k++) {
+                            friends[friends.length] = Friend(api, results[k]);
+                        }
 
-                    /* Pass the list to the callback */
-                    callback(friends);
-                });
+                        /* Pass the list to the callback */
+                        return friends;
+                    }, options);
             },
             
             /**
@@ -2011,9 +7177,62 @@ var putio = (function() {
             }
         };
         
-        /* Update user token after creating the object */
-        that.updateUserToken();
+        Emitter(that);
+        for (var name in options.listeners) {
+            if (options.listeners.hasOwnProperty(name)) {
+                that.on(name, options.listeners[name]);
+            }
+        }
+
+        that.items = ItemMap(that);
+
+        /**
+         * @var Changes waiting to be sent to the server, null unless enabled. 
+         *      See Journal
+         */
+        that.journal = options.journal ? 
+            Journal(that, options.journal === true ? {} : options.journal) : null;
+
+        that.tokens = TokenManager(that);
+        if (options.token_ttl) {
+            that.tokens.ttl = options.token_ttl;
+        }
+
+        /* Get a first token after creating the object */
+        that.getAccessToken();
         
         return that;
-    };
+    }
+
+    Api.VERSION = VERSION;
+    Api.FILETYPES = FILETYPES;
+    Api.PutioError = PutioError;
+    Api.transports = transports;
+    Api.backends = backends;
+    Api.oauth = oauth;
+    Api.middleware = middleware;
+    Api.redact = redact;
+    Api.Item = Item;
+    Api.Folder = Folder;
+    Api.createItem = createItem;
+    Api.fromJSON = fromJSON;
+    Api.diffItems = diffItems;
+    Api.sortItems = sortItems;
+    Api.filterItems = filterItems;
+    Api.naturalCompare = naturalCompare;
+    Api.journalStorages = journalStorages;
+    Api.Transfer = Transfer;
+    Api.Mp4Conversion = Mp4Conversion;
+    Api.Subscription = Subscription;
+    Api.Message = Message;
+    Api.User = User;
+    Api.Friend = Friend;
+    Api.Url = Url;
+
+    return Api;
 }());
+
+/* Export the library when loaded as a CommonJS module (Node.js) */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = putio;
+}
@@ -0,0 +1,29 @@
+/**
+ * PhoneGap plugin that sends the requests of putio.js from native code, see
+ * src/app/put/io/PutioHttp.java and putio.transports.bridge.
+ */
+var PutioHttp = function() {
+
+};
+
+/**
+ * Sends an HTTP request.
+ *
+ * @param params object with the method ('GET' or 'POST'), url, data (url 
+ *      encoded body, or null), timeout (in milliseconds) and user_agent of 
+ *      the request
+ * @param success function({status, body}) called with the response, also 
+ *      for HTTP errors
+ * @param fail function(message) called if the server could not be reached
+ */
+PutioHttp.prototype.request = function(params, success, fail) {
+	return PhoneGap.exec(function(args) {
+        success(args);
+    }, function(args) {
+        fail(args);
+    }, 'PutioHttp', 'request', [params]);
+};
+
+PhoneGap.addConstructor(function() {
+	PhoneGap.addPlugin('putioHttp', new PutioHttp());
+});
@@ -0,0 +1,648 @@
+/**
+ * In-memory stand-in for the put.io v1 api. It keeps a file tree, transfers,
+ * subscriptions, messages and friends, and answers the methods used by
+ * putio.js with the same results the real api returns.
+ *
+ * It does not know anything about HTTP, see server.js for that.
+ *
+ * Example:
+ *
+ *     var mock = require('./putio-mock').createMock({ api_key : 'key', api_secret : 'secret' });
+ *     var response = mock.call('/files', 'list', { api_key : 'key', api_secret : 'secret',
+ *         params : { parent_id : 0 } });
+ */
+
+var FILETYPES = ['folder', 'file', 'audio', 'movie', 'image', 'compressed', 'pdf',
+    'ms_doc', 'text', 'swf'];
+
+var EXTENSIONS = {
+    'avi'  : 'movie',
+    'mkv'  : 'movie',
+    'mp4'  : 'movie',
+    'mp3'  : 'audio',
+    'ogg'  : 'audio',
+    'jpg'  : 'image',
+    'png'  : 'image',
+    'zip'  : 'compressed',
+    'rar'  : 'compressed',
+    'pdf'  : 'pdf',
+    'doc'  : 'ms_doc',
+    'txt'  : 'text',
+    'nfo'  : 'text',
+    'swf'  : 'swf'
+};
+
+/**
+ * Error thrown by the method handlers. It is answered as an api error.
+ */
+function MockError(msg) {
+    this.msg = msg;
+}
+
+MockError.prototype.toString = function() {
+    return this.msg;
+};
+
+/**
+ * @return the put.io type name for the given file name
+ */
+function typeForName(name) {
+    var ext = name.split('.').pop().toLowerCase();
+    return EXTENSIONS[ext] || 'file';
+}
+
+/**
+ * @return the size in bytes as a human readable string, as put.io does
+ */
+function humanSize(bytes) {
+    var units = ['B', 'K', 'M', 'G', 'T'];
+    var k = 0;
+    bytes = Number(bytes);
+    while (bytes >= 1024 && k < units.length - 1) {
+        bytes = bytes / 1024;
+        k++;
+    }
+    return (k === 0 ? bytes : bytes.toFixed(2)) + units[k];
+}
+
+/**
+ * Default content of a new mock account.
+ */
+function defaultSeed() {
+    return {
+        user : {
+            name : 'mock',
+            friends_count : 1,
+            bw_avail_last_month : '0',
+            bw_quota : '161061273600',
+            shared_items : 0,
+            bw_quota_available : '35157040261',
+            disk_quota : '206115891200',
+            disk_quota_available : '158153510402',
+            shared_space : 0
+        },
+        files : [
+            { id : 1, name : 'Movies', is_dir : true, parent_id : 0 },
+            { id : 2, name : 'Music', is_dir : true, parent_id : 0 },
+            { id : 3, name : 'Series', is_dir : true, parent_id : 0 },
+            { id : 4, name : 'Big.Buck.Bunny.avi', size : 232781824, parent_id : 1 },
+            { id : 5, name : 'Sintel.mkv', size : 734003200, parent_id : 1 },
+            { id : 6, name : 'Elephants.Dream.mp4', size : 112197632, parent_id : 1,
+                mp4 : true },
+            { id : 7, name : 'Jazz Radio', is_dir : true, parent_id : 2 },
+            { id : 8, name : '01 - Take Five.mp3', size : 5242880, parent_id : 7 },
+            { id : 9, name : '02 - So What.mp3', size : 9437184, parent_id : 7 },
+            { id : 10, name : 'cover.jpg', size : 94208, parent_id : 7 },
+            { id : 11, name : 'Episode 1.avi', size : 183500800, parent_id : 3 },
+            { id : 12, name : 'Episode 2.avi', size : 183500800, parent_id : 3 },
+            { id : 13, name : 'Episode 10.avi', size : 183500800, parent_id : 3 },
+            { id : 14, name : 'readme.txt', size : 1024, parent_id : 0 }
+        ],
+        transfers : [
+            { id : 45, name : 'A video file.avi', status : 'Completed', percent_done : '100' },
+            { id : 47, name : 'abcde.mp4', status : 'Waiting', percent_done : '0' }
+        ],
+        subscriptions : [
+            { id : 860, url : 'http://legaltorrents.com/music/rss.xml', name : 'Jazz Radio',
+                do_filters : 'jazz, mp3', dont_filters : 'smooth, wav',
+                parent_folder_id : 2, last_update_time : '2010-01-01 00:00',
+                next_update_time : '2010-01-01 00:00', paused : false }
+        ],
+        messages : [
+            { id : 3773, user_id : 17, title : 'Big.Buck.Bunny.avi downloaded',
+                description : null, importance : 0, file_name : 'Big.Buck.Bunny.avi',
+                file_type : 'movie', user_file_id : 4, from_user_id : null, channel : 2,
+                hidden : 0 }
+        ],
+        friends : [
+            { id : '2', name : 'hasan', dir_id : '1407' }
+        ]
+    };
+}
+
+/**
+ * Creates a new mock account.
+ *
+ * @param options object with the attributes:
+ *      api_key, api_secret: credentials accepted by the mock (optional,
+ *          defaults to 'key' and 'secret')
+ *      base_url: url where download and stream links point to (optional)
+ *      seed: initial content, as returned by defaultSeed() (optional)
+ *      big_folder: if set, adds a folder with this many files, to test
+ *          listings that need several pages (optional)
+ * @return the mock object
+ */
+function createMock(options) {
+    options = options || {};
+
+    var api_key = options.api_key || 'key';
+    var api_secret = options.api_secret || 'secret';
+    var base_url = options.base_url || 'http://localhost:8080';
+    var user_id = 17;
+
+    var state;
+    var next_id;
+    var created;
+    var token_count = 0;
+
+    /**
+     * Converts a seed file into the attributes returned by the api.
+     */
+    function fileObj(file) {
+        var id = String(file.id);
+        var type = file.is_dir ? 'folder' : (file.type || typeForName(file.name));
+        var obj = {
+            id : id,
+            name : file.name,
+            type : type,
+            size : String(file.size || 0),
+            is_dir : !!file.is_dir,
+            parent_id : String(file.parent_id || 0),
+            screenshot_url : base_url + '/screenshot/b/' + id + '.jpg',
+            thumb_url : file.is_dir ? '' : base_url + '/screenshot/' + id + '.jpg',
+            file_icon_url : base_url + '/images/file_types/' + type + '.png',
+            folder_icon_url : '',
+            download_url : base_url + '/download-file/' + user_id + '/' + id,
+            zip_url : '/stream-basket/' + user_id + '/' + id,
+            createdat : file.createdat || created++
+        };
+
+        if (type === 'movie' || type === 'audio') {
+            obj.stream_url = base_url + '/stream/' + user_id + '/' + id;
+        }
+        if (file.mp4) {
+            obj.mp4_stream_url = base_url + '/stream-mp4/' + user_id + '/' + id;
+        }
+
+        return obj;
+    }
+
+    /**
+     * Sets the initial state of the account.
+     */
+    function reset() {
+        var seed = options.seed || defaultSeed();
+        var k;
+
+        created = 1300000000;
+        state = {
+            user : JSON.parse(JSON.stringify(seed.user)),
+            files : {},
+            transfers : JSON.parse(JSON.stringify(seed.transfers)),
+            subscriptions : JSON.parse(JSON.stringify(seed.subscriptions)),
+            messages : JSON.parse(JSON.stringify(seed.messages)),
+            friends : JSON.parse(JSON.stringify(seed.friends)),
+            token : null
+        };
+        next_id = 1000;
+
+        for (k = 0; k < seed.files.length; k++) {
+            state.files[seed.files[k].id] = fileObj(seed.files[k]);
+            next_id = Math.max(next_id, Number(seed.files[k].id) + 1);
+        }
+
+        if (options.big_folder) {
+            var folder = fileObj({ id : next_id++, name : 'Big folder', is_dir : true });
+            state.files[folder.id] = folder;
+            for (k = 1; k <= options.big_folder; k++) {
+                var file = fileObj({ id : next_id++, name : 'File ' + k + '.mp3',
+                    size : 1048576 + k, parent_id : folder.id });
+                state.files[file.id] = file;
+            }
+        }
+    }
+
+    function getFile(id) {
+        var file = state.files[String(id)];
+        if (!file) {
+            throw new MockError('File not found');
+        }
+        return file;
+    }
+
+    function getFolder(id) {
+        if (String(id || 0) === '0') {
+            return null;
+        }
+        var folder = getFile(id);
+        if (!folder.is_dir) {
+            throw new MockError('Target is not a folder');
+        }
+        return folder;
+    }
+
+    function children(parent_id) {
+        var list = [];
+        var key;
+        for (key in state.files) {
+            if (state.files.hasOwnProperty(key) &&
+                    state.files[key].parent_id === String(parent_id)) {
+                list[list.length] = state.files[key];
+            }
+        }
+        return list;
+    }
+
+    function findById(list, id) {
+        for (var k = 0; k < list.length; k++) {
+            if (String(list[k].id) === String(id)) {
+                return list[k];
+            }
+        }
+        throw new MockError('Item not found');
+    }
+
+    function removeById(list, id) {
+        findById(list, id);
+        for (var k = 0; k < list.length; k++) {
+            if (String(list[k].id) === String(id)) {
+                list.splice(k, 1);
+                return;
+            }
+        }
+    }
+
+    function copy(obj) {
+        return JSON.parse(JSON.stringify(obj));
+    }
+
+    /**
+     * Sorts a file list with a put.io orderby parameter, such as name_asc
+     */
+    function sortFiles(list, orderby) {
+        var parts = (orderby || 'createdat_desc').split('_');
+        var field = parts[0] === 'extention' ? 'name' : parts[0];
+        var direction = parts[1] === 'asc' ? 1 : -1;
+
+        return list.sort(function(a, b) {
+            var x = a[field], y = b[field];
+            if (field === 'id' || field === 'size' || field === 'createdat') {
+                x = Number(x);
+                y = Number(y);
+            } else if (parts[0] === 'extention') {
+                x = x.split('.').pop().toLowerCase();
+                y = y.split('.').pop().toLowerCase();
+            } else {
+                x = String(x).toLowerCase();
+                y = String(y).toLowerCase();
+            }
+            return x < y ? -direction : (x > y ? direction : 0);
+        });
+    }
+
+    /**
+     * @return a page of the list, with the length of the whole list as total
+     */
+    function paged(list, offset, limit) {
+        var page = list.slice(offset, offset + limit);
+        page.total = list.length;
+        return page;
+    }
+
+    function dirmap(folder) {
+        var dirs = [];
+        var list = children(folder ? folder.id : 0);
+        for (var k = 0; k < list.length; k++) {
+            if (list[k].is_dir) {
+                dirs[dirs.length] = dirmap(list[k]);
+            }
+        }
+        return {
+            id : folder ? folder.id : '0',
+            name : folder ? folder.name : 'Your Files',
+            shared : false,
+            default_shared : false,
+            dirs : dirs
+        };
+    }
+
+    function analyzeUrl(url) {
+        var name = url.split('/').pop() || url;
+        var torrent = /\.torrent$/.test(name);
+        return {
+            dl_handler : torrent ? 'Torrent' : 'Single Url',
+            name : name,
+            file_type : typeForName(name),
+            error : null,
+            url : url,
+            paid_bw : 0,
+            file_size : 10485760,
+            size : 10485760,
+            type_name : typeForName(name),
+            dltype : torrent ? 2 : 3,
+            human_size : humanSize(10485760)
+        };
+    }
+
+    var methods = {
+        '/files' : {
+            list : function(params) {
+                var list;
+                if (params.id !== undefined) {
+                    list = [getFile(params.id)];
+                } else {
+                    list = children(params.parent_id || 0);
+                }
+
+                if (params.type !== undefined && params.type !== null) {
+                    var type = typeof params.type === 'number' ?
+                        FILETYPES[params.type] : params.type;
+                    list = list.filter(function(file) {
+                        return file.type === type;
+                    });
+                }
+
+                var offset = Number(params.offset || 0);
+                var limit = Number(params.limit || 20);
+                return paged(sortFiles(list, params.orderby), offset, limit);
+            },
+
+            info : function(params) {
+                return [getFile(params.id)];
+            },
+
+            search : function(params) {
+                var query = String(params.query || '');
+                var type = /type:'?(\w+)'?/.exec(query);
+                var ext = /ext:'?(\w+)'?/.exec(query);
+                var words = query.replace(/\w+:'[^']*'/g, '').replace(/\w+:\S+/g, '')
+                    .replace(/'/g, '').toLowerCase().split(/\s+/).filter(Boolean);
+                var list = [];
+                var key, file, k, ok;
+
+                for (key in state.files) {
+                    if (!state.files.hasOwnProperty(key)) {
+                        continue;
+                    }
+                    file = state.files[key];
+                    ok = true;
+                    for (k = 0; k < words.length; k++) {
+                        if (file.name.toLowerCase().indexOf(words[k]) === -1) {
+                            ok = false;
+                        }
+                    }
+                    if (type && type[1] !== 'all' && file.type !== type[1] &&
+                            !(type[1] === 'video' && file.type === 'movie')) {
+                        ok = false;
+                    }
+                    if (ext && ext[1] !== 'all' &&
+                            file.name.split('.').pop().toLowerCase() !== ext[1]) {
+                        ok = false;
+                    }
+                    if (ok) {
+                        list[list.length] = file;
+                    }
+                }
+
+                list = sortFiles(list, 'name_asc');
+                if (params.limit === undefined) {
+                    return list;
+                }
+                return paged(list, Number(params.offset || 0), Number(params.limit));
+            },
+
+            create_dir : function(params) {
+                getFolder(params.parent_id);
+                var folder = fileObj({ id : next_id++, name : params.name || 'New Folder',
+                    is_dir : true, parent_id : params.parent_id || 0 });
+                state.files[folder.id] = folder;
+                return [folder];
+            },
+
+            rename : function(params) {
+                if (!params.name) {
+                    throw new MockError('Name is required');
+                }
+                var file = getFile(params.id);
+                file.name = params.name;
+                return [file];
+            },
+
+            move : function(params) {
+                var file = getFile(params.id);
+                var target = getFolder(params.parent_id);
+                var parent = target;
+                while (parent) {
+                    if (parent.id === file.id) {
+                        throw new MockError('Cannot move a folder into itself');
+                    }
+                    parent = parent.parent_id === '0' ? null : state.files[parent.parent_id];
+                }
+                file.parent_id = String(params.parent_id || 0);
+                return [file];
+            },
+
+            'delete' : function(params) {
+                var file = getFile(params.id);
+                var remove = function(item) {
+                    var list = children(item.id);
+                    for (var k = 0; k < list.length; k++) {
+                        remove(list[k]);
+                    }
+                    delete state.files[item.id];
+                };
+                remove(file);
+                return [];
+            },
+
+            dirmap : function(params) {
+                return dirmap(null);
+            }
+        },
+
+        '/transfers' : {
+            list : function(params) {
+                return state.transfers;
+            },
+
+            add : function(params) {
+                var links = params.links || [];
+                var added = [];
+                for (var k = 0; k < links.length; k++) {
+                    var transfer = { id : next_id++, name : links[k].split('/').pop(),
+                        status : 'Waiting', percent_done : '0' };
+                    state.transfers[state.transfers.length] = transfer;
+                    added[added.length] = transfer;
+                }
+                return added;
+            },
+
+            cancel : function(params) {
+                removeById(state.transfers, params.id);
+                return [];
+            }
+        },
+
+        '/urls' : {
+            analyze : function(params) {
+                var links = params.links || [];
+                var items = { multiparturl : [], torrent : [], singleurl : [], error : [] };
+                for (var k = 0; k < links.length; k++) {
+                    if (!/^(https?|ftp):\/\//.test(links[k])) {
+                        items.error[items.error.length] = { url : links[k],
+                            error : 'Invalid url' };
+                        continue;
+                    }
+                    var url = analyzeUrl(links[k]);
+                    if (url.dltype === 2) {
+                        items.torrent[items.torrent.length] = url;
+                    } else {
+                        items.singleurl[items.singleurl.length] = url;
+                    }
+                }
+                return {
+                    items : items,
+                    disk_avail : state.user.disk_quota_available,
+                    bw_avail : state.user.bw_quota_available
+                };
+            },
+
+            extracturls : function(params) {
+                var found = String(params.txt || '').match(/(https?|ftp):\/\/[^\s"'<>]+/g) || [];
+                var urls = [];
+                for (var k = 0; k < found.length; k++) {
+                    urls[urls.length] = { url : found[k] };
+                }
+                return urls;
+            }
+        },
+
+        '/subscriptions' : {
+            list : function(params) {
+                return state.subscriptions;
+            },
+
+            create : function(params) {
+                var subscription = { id : next_id++, url : params.url, name : params.title,
+                    do_filters : params.do_filters || '',
+                    dont_filters : params.dont_filters || '',
+                    parent_folder_id : params.parent_folder_id || 0,
+                    last_update_time : '', next_update_time : '', paused : false };
+                state.subscriptions[state.subscriptions.length] = subscription;
+                return [subscription];
+            },
+
+            edit : function(params) {
+                var subscription = findById(state.subscriptions, params.id);
+                var key;
+                for (key in params) {
+                    if (params.hasOwnProperty(key) && key !== 'id') {
+                        subscription[key === 'title' ? 'name' : key] = params[key];
+                    }
+                }
+                return [subscription];
+            },
+
+            'delete' : function(params) {
+                removeById(state.subscriptions, params.id);
+                return [];
+            },
+
+            pause : function(params) {
+                var subscription = findById(state.subscriptions, params.id);
+                subscription.paused = !subscription.paused;
+                return [subscription];
+            },
+
+            info : function(params) {
+                return [findById(state.subscriptions, params.id)];
+            }
+        },
+
+        '/messages' : {
+            list : function(params) {
+                return state.messages;
+            },
+
+            'delete' : function(params) {
+                removeById(state.messages, params.id);
+                return [];
+            }
+        },
+
+        '/user' : {
+            info : function(params) {
+                return [state.user];
+            },
+
+            friends : function(params) {
+                return state.friends;
+            },
+
+            acctoken : function(params) {
+                token_count++;
+                state.token = 'mocktoken' + token_count;
+                return { token : state.token };
+            }
+        }
+    };
+
+    reset();
+
+    return {
+        /**
+         * Answers a call to the api.
+         *
+         * @param path api path, for instance '/files'
+         * @param method api method, for instance 'list'
+         * @param request parsed ApiRequest, with api_key, api_secret and params
+         * @return the response object, as the put.io api returns it
+         */
+        call : function(path, method, request) {
+            request = request || {};
+
+            var handler = methods[path] && methods[path].hasOwnProperty(method) ?
+                methods[path][method] : null;
+            var results;
+
+            if (request.api_key !== api_key || request.api_secret !== api_secret) {
+                return { error : true, error_message : 'Invalid api key or secret' };
+            }
+
+            if (!handler) {
+                return { error : true, error_message : 'Unknown method ' + method +
+                    ' in path ' + path };
+            }
+
+            try {
+                results = handler(request.params || {});
+            } catch (e) {
+                if (e instanceof MockError) {
+                    return { error : true, error_message : e.msg };
+                }
+                throw e;
+            }
+
+            return {
+                error : false,
+                error_message : '',
+                id : user_id,
+                user_name : state.user.name,
+                response : {
+                    total : results && results.total !== undefined ? results.total :
+                        (results && results.length !== undefined ? results.length : 1),
+                    results : copy(results)
+                }
+            };
+        },
+
+        /**
+         * @return a copy of the current state, useful for assertions
+         */
+        getState : function() {
+            return copy(state);
+        },
+
+        /**
+         * @return the last access token handed out by /user acctoken
+         */
+        getToken : function() {
+            return state.token;
+        },
+
+        reset : reset
+    };
+}
+
+exports.createMock = createMock;
+exports.defaultSeed = defaultSeed;
@@ -0,0 +1,386 @@
+/**
+ * Local stand-in for http://api.put.io/v1, to develop and test putio.js and
+ * index.html without network access.
+ *
+ * Usage:
+ *
+ *     node mock/server.js [options]
+ *
+ *     --port N            port to listen on (default 8080)
+ *     --key KEY           api key accepted by the mock (default 'key')
+ *     --secret SECRET     api secret accepted by the mock (default 'secret')
+ *     --latency MS        delay every api response by MS milliseconds
+ *     --fault SPEC        inject a fault, see below. Can be repeated
+ *     --fixtures FILE     replay the responses recorded in FILE
+ *     --record URL        forward every call to URL (for instance
+ *                         http://api.put.io/v1) and save the responses in the
+ *                         --fixtures file
+ *     --big-folder N      add a folder with N files
+ *     --www DIR           directory served as static files (default assets/www)
+ *
+ * The api is served in /v1, and answers both JSONP (when a callback parameter
+ * is given, as jQuery does) and plain JSON. The request parameter can also be
+ * sent in the url encoded body of a POST request. The app can be loaded from the
+ * mock with http://localhost:8080/index.html?api=http://localhost:8080/v1
+ *
+ * Faults are given as "match=fault" or "match=fault*times", where match is
+ * "path method" (for instance "/files list"), a path, or "*" for every call,
+ * and fault is one of:
+ *
+ *     http:STATUS     answer with the HTTP status STATUS
+ *     api:MESSAGE     answer with an api error
+ *     malformed       answer with invalid JSON
+ *     hang            never answer
+ *     reset           close the connection without answering
+ *     wrong-callback  wrap the JSONP answer in a different callback, so the
+ *                     client never gets it
+ *     no-user         answer without the id and user_name attributes, as
+ *                     seen on login (see doLogin in index.html)
+ *     latency:MS      delay the answer by MS milliseconds
+ *
+ * Fixtures files map "path method" to a list of recorded responses. The first
+ * response whose params are all present in the request is replayed, and calls
+ * without a matching fixture are answered from the in-memory account:
+ *
+ *     {
+ *         "/files list" : [
+ *             { "params" : { "parent_id" : 0 }, "response" : { "error" : false, ... } }
+ *         ]
+ *     }
+ *
+ * Faults, latency and state can also be changed while the server runs:
+ *
+ *     /_mock/fault?match=/files%20list&fault=http:500&times=1
+ *     /_mock/fault?clear=1
+ *     /_mock/latency?ms=2000
+ *     /_mock/reset
+ *     /_mock/state
+ */
+
+var http = require('http');
+var fs = require('fs');
+var path = require('path');
+var url = require('url');
+var querystring = require('querystring');
+
+var putioMock = require('./putio-mock');
+
+var CONTENT_TYPES = {
+    '.html' : 'text/html',
+    '.js'   : 'application/javascript',
+    '.css'  : 'text/css',
+    '.png'  : 'image/png',
+    '.jpg'  : 'image/jpeg'
+};
+
+/**
+ * Parses the command line arguments.
+ */
+function parseArgs(argv) {
+    var args = { port : 8080, latency : 0, faults : [],
+        www : path.join(__dirname, '..', 'assets', 'www') };
+    var names = { '--port' : 'port', '--key' : 'key', '--secret' : 'secret',
+        '--latency' : 'latency', '--fixtures' : 'fixtures', '--record' : 'record',
+        '--big-folder' : 'big_folder', '--www' : 'www' };
+
+    for (var k = 0; k < argv.length; k++) {
+        if (argv[k] === '--fault') {
+            args.faults[args.faults.length] = parseFault(argv[++k]);
+        } else if (names[argv[k]]) {
+            args[names[argv[k]]] = argv[++k];
+        } else {
+            throw new Error('Unknown option ' + argv[k]);
+        }
+    }
+
+    args.port = Number(args.port);
+    args.latency = Number(args.latency);
+    args.big_folder = Number(args.big_folder || 0);
+
+    if (args.record && !args.fixtures) {
+        throw new Error('--record needs a --fixtures file to save the responses');
+    }
+
+    return args;
+}
+
+/**
+ * Parses a fault given as "match=fault*times"
+ */
+function parseFault(spec) {
+    var eq = spec.indexOf('=');
+    var fault = spec.substring(eq + 1).split('*');
+    return { match : spec.substring(0, eq), fault : fault[0],
+        times : fault[1] ? Number(fault[1]) : -1 };
+}
+
+/**
+ * @return true if the fault or fixture applies to the given call
+ */
+function matches(match, api_path, method) {
+    return match === '*' || match === api_path || match === api_path + ' ' + method;
+}
+
+/**
+ * @return true if every attribute of expected has the same value in actual
+ */
+function paramsMatch(expected, actual) {
+    actual = actual || {};
+    for (var key in expected) {
+        if (expected.hasOwnProperty(key) &&
+                JSON.stringify(expected[key]) !== JSON.stringify(actual[key])) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Creates the mock server.
+ *
+ * @param args options as returned by parseArgs
+ * @return an http.Server, not yet listening
+ */
+function createServer(args) {
+    var base_url = 'http://localhost:' + args.port;
+    var mock = putioMock.createMock({ api_key : args.key, api_secret : args.secret,
+        base_url : base_url, big_folder : args.big_folder });
+    var faults = args.faults.slice();
+    var latency = args.latency;
+    var fixtures = {};
+
+    if (args.fixtures && fs.existsSync(args.fixtures)) {
+        fixtures = JSON.parse(fs.readFileSync(args.fixtures, 'utf8'));
+    }
+
+    function saveFixtures() {
+        fs.writeFileSync(args.fixtures, JSON.stringify(fixtures, null, 2));
+    }
+
+    /**
+     * @return the first pending fault for the call, or null
+     */
+    function takeFault(api_path, method) {
+        for (var k = 0; k < faults.length; k++) {
+            if (faults[k].times !== 0 && matches(faults[k].match, api_path, method)) {
+                if (faults[k].times > 0) {
+                    faults[k].times--;
+                }
+                return faults[k].fault;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @return the recorded response for the call, or null
+     */
+    function findFixture(api_path, method, params) {
+        var list = fixtures[api_path + ' ' + method] || [];
+        for (var k = 0; k < list.length; k++) {
+            if (paramsMatch(list[k].params || {}, params)) {
+                return list[k].response;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Forwards the call to the real api and records the response, without
+     * the credentials.
+     */
+    function record(api_path, method, query, request, done) {
+        var target = args.record + api_path + '?method=' + method + '&request=' +
+            encodeURIComponent(query.request || '');
+        var client = target.indexOf('https:') === 0 ? require('https') : http;
+
+        client.get(target, function(res) {
+            var body = '';
+            res.setEncoding('utf8');
+            res.on('data', function(chunk) {
+                body += chunk;
+            });
+            res.on('end', function() {
+                var response;
+                try {
+                    response = JSON.parse(body);
+                } catch (e) {
+                    done({ error : true, error_message : 'Record failed: invalid JSON' });
+                    return;
+                }
+
+                var key = api_path + ' ' + method;
+                fixtures[key] = fixtures[key] || [];
+                fixtures[key].unshift({ params : request.params || {}, response : response });
+                saveFixtures();
+                done(response);
+            });
+        }).on('error', function(e) {
+            done({ error : true, error_message : 'Record failed: ' + e.message });
+        });
+    }
+
+    function send(res, status, type, body) {
+        res.writeHead(status, { 'Content-Type' : type,
+            'Access-Control-Allow-Origin' : '*' });
+        res.end(body);
+    }
+
+    /**
+     * Answers a call to /v1/<path>?method=<method>&request=<json>. query
+     * also has the parameters of the body of POST requests.
+     */
+    function handleApi(req, res, api_path, query) {
+        var method = query.method;
+        var callback = query.callback;
+        var fault = takeFault(api_path, method);
+        var request = {};
+        var delay = latency;
+
+        if (fault && fault.indexOf('latency:') === 0) {
+            delay += Number(fault.substring(8));
+            fault = null;
+        }
+
+        function answer(response) {
+            if (fault === 'no-user') {
+                delete response.id;
+                delete response.user_name;
+            }
+
+            var json = JSON.stringify(response);
+            if (fault === 'malformed') {
+                json = json.substring(0, json.length / 2);
+            }
+
+            if (callback) {
+                var name = fault === 'wrong-callback' ? callback + '_wrong' : callback;
+                send(res, 200, 'application/javascript', name + '(' + json + ');');
+            } else {
+                send(res, 200, 'application/json', json);
+            }
+        }
+
+        setTimeout(function() {
+            if (fault === 'hang') {
+                return;
+            }
+            if (fault === 'reset') {
+                req.socket.destroy();
+                return;
+            }
+            if (fault && fault.indexOf('http:') === 0) {
+                send(res, Number(fault.substring(5)), 'text/plain', 'Mock HTTP error');
+                return;
+            }
+            if (fault && fault.indexOf('api:') === 0) {
+                answer({ error : true, error_message : fault.substring(4) });
+                return;
+            }
+
+            try {
+                request = JSON.parse(query.request || '{}');
+            } catch (e) {
+                answer({ error : true, error_message : 'Invalid request' });
+                return;
+            }
+
+            if (args.record) {
+                record(api_path, method, query, request, answer);
+                return;
+            }
+
+            answer(findFixture(api_path, method, request.params) ||
+                mock.call(api_path, method, request));
+        }, delay);
+    }
+
+    /**
+     * Answers the /_mock control calls
+     */
+    function handleControl(res, name, query) {
+        if (name === 'fault') {
+            if (query.clear) {
+                faults = [];
+            } else {
+                faults[faults.length] = { match : query.match || '*', fault : query.fault,
+                    times : query.times ? Number(query.times) : -1 };
+            }
+            send(res, 200, 'application/json', JSON.stringify(faults));
+        } else if (name === 'latency') {
+            latency = Number(query.ms || 0);
+            send(res, 200, 'application/json', JSON.stringify({ latency : latency }));
+        } else if (name === 'reset') {
+            mock.reset();
+            faults = args.faults.slice();
+            latency = args.latency;
+            send(res, 200, 'application/json', JSON.stringify({ reset : true }));
+        } else if (name === 'state') {
+            send(res, 200, 'application/json', JSON.stringify(mock.getState(), null, 2));
+        } else {
+            send(res, 404, 'text/plain', 'Unknown control ' + name);
+        }
+    }
+
+    /**
+     * Answers downloads and streams with placeholder content. They need a
+     * valid access token, as put.io does.
+     */
+    function handleFile(res, pathname) {
+        var atk = /\/atk\/([^\/]*)$/.exec(pathname);
+        if (!atk || atk[1] !== mock.getToken()) {
+            send(res, 403, 'text/plain', 'Invalid access token');
+            return;
+        }
+        send(res, 200, 'application/octet-stream', 'Mock content of ' + pathname);
+    }
+
+    function handleStatic(res, pathname) {
+        var file = path.join(args.www, path.normalize(pathname === '/' ? '/index.html' : pathname));
+        if (file.indexOf(args.www) !== 0 || !fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+            send(res, 404, 'text/plain', 'Not found');
+            return;
+        }
+        send(res, 200, CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+            fs.readFileSync(file));
+    }
+
+    return http.createServer(function(req, res) {
+        var parsed = url.parse(req.url);
+        var query = querystring.parse(parsed.query || '');
+        var pathname = parsed.pathname;
+
+        if (pathname.indexOf('/v1/') === 0 && req.method === 'POST') {
+            var body = '';
+            req.setEncoding('utf8');
+            req.on('data', function(chunk) {
+                body += chunk;
+            });
+            req.on('end', function() {
+                var form = querystring.parse(body);
+                for (var key in form) {
+                    query[key] = form[key];
+                }
+                handleApi(req, res, pathname.substring(3), query);
+            });
+        } else if (pathname.indexOf('/v1/') === 0) {
+            handleApi(req, res, pathname.substring(3), query);
+        } else if (pathname.indexOf('/_mock/') === 0) {
+            handleControl(res, pathname.substring(7), query);
+        } else if (/^\/(download-file|stream|stream-mp4)\//.test(pathname)) {
+            handleFile(res, pathname);
+        } else {
+            handleStatic(res, pathname);
+        }
+    });
+}
+
+exports.createServer = createServer;
+exports.parseArgs = parseArgs;
+
+if (require.main === module) {
+    var args = parseArgs(process.argv.slice(2));
+    createServer(args).listen(args.port, function() {
+        console.log('put.io mock api listening on http://localhost:' + args.port + '/v1');
+    });
+}
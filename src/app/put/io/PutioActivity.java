@@ -1,5 +1,7 @@
 package app.put.io;
 
+import android.content.Intent;
+import android.net.Uri;
 import android.os.Bundle;
 import android.util.Log;
 
@@ -7,12 +9,41 @@ import com.phonegap.DroidGap;
 
 public class PutioActivity extends DroidGap {
 	private static final String TAG = "MyActivity";
+	private static final String START_URL = "file:///android_asset/www/index.html";
+	
     /** Called when the activity is first created. */
     @Override
     public void onCreate(Bundle savedInstanceState) {
     	Log.v(TAG, "xxx 1");
         super.onCreate(savedInstanceState);
         // setContentView(R.layout.main);
-        super.loadUrl("file:///android_asset/www/index.html");
+        super.loadUrl(START_URL + oauthFragment(getIntent()));
     }
-}
\ No newline at end of file
+    
+    /**
+     * put.io sends the user back to putio-app://oauth#access_token=... after
+     * the oauth login (see config.js). The activity is singleTask, so the
+     * running app gets the redirect here.
+     */
+    @Override
+    protected void onNewIntent(Intent intent) {
+        super.onNewIntent(intent);
+        String fragment = oauthFragment(intent);
+        if (fragment.length() > 0) {
+            super.loadUrl(START_URL + fragment);
+        }
+    }
+    
+    /**
+     * @return the fragment of the oauth redirect, with the access token,
+     *     or an empty string if the intent is not an oauth redirect
+     */
+    private String oauthFragment(Intent intent) {
+        Uri uri = intent != null ? intent.getData() : null;
+        if (uri == null || !"putio-app".equals(uri.getScheme()) ||
+                uri.getEncodedFragment() == null) {
+            return "";
+        }
+        return "#" + uri.getEncodedFragment();
+    }
+}
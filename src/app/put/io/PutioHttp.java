@@ -0,0 +1,112 @@
+package app.put.io;
+
+import java.io.BufferedReader;
+import java.io.IOException;
+import java.io.InputStream;
+import java.io.InputStreamReader;
+import java.io.OutputStream;
+import java.net.HttpURLConnection;
+import java.net.URL;
+
+import org.json.JSONArray;
+import org.json.JSONException;
+import org.json.JSONObject;
+
+import com.phonegap.api.Plugin;
+import com.phonegap.api.PluginResult;
+
+/**
+ * PutioHttp is a PhoneGap plugin that sends the api requests of putio.js 
+ * from native code, so the api credentials can go in a POST body instead 
+ * of the url of a JSONP request.
+ */
+public class PutioHttp extends Plugin {
+
+	/**
+	 * Executes the request and returns PluginResult.
+	 * 
+	 * @param action 		The action to execute.
+	 * @param args 			JSONArray of arguments for the plugin.
+	 * @param callbackId	The callback id used when calling back into JavaScript.
+	 * @return 				A PluginResult object with a status and message.
+	 */
+	public PluginResult execute(String action, JSONArray args, String callbackId) {
+		try {
+			if (action.equals("request")) {
+				JSONObject params = args.getJSONObject(0);
+				return request(params.optString("method", "GET"), params.getString("url"),
+						params.isNull("data") ? null : params.getString("data"),
+						params.optInt("timeout", 10000),
+						params.isNull("user_agent") ? null : params.getString("user_agent"));
+			}
+			return new PluginResult(PluginResult.Status.INVALID_ACTION);
+		} catch (JSONException e) {
+			return new PluginResult(PluginResult.Status.JSON_EXCEPTION, e.getMessage());
+		}
+	}
+
+	/**
+	 * Sends an HTTP request and reads the whole response.
+	 * 
+	 * @param method		'GET' or 'POST'
+	 * @param url			url of the request
+	 * @param data			url encoded body of the request, or null
+	 * @param timeout		time to wait for the server, in milliseconds
+	 * @param userAgent		value of the User-Agent header, or null
+	 * @return				an OK result with the status and body of the response,
+	 * 						or an IO_EXCEPTION result if the server could not be reached
+	 */
+	PluginResult request(String method, String url, String data, int timeout, String userAgent)
+			throws JSONException {
+		HttpURLConnection connection = null;
+		try {
+			connection = (HttpURLConnection) new URL(url).openConnection();
+			connection.setConnectTimeout(timeout);
+			connection.setReadTimeout(timeout);
+			connection.setRequestMethod(method);
+			connection.setUseCaches(false);
+			if (userAgent != null) {
+				connection.setRequestProperty("User-Agent", userAgent);
+			}
+
+			if (data != null) {
+				byte[] bytes = data.getBytes("UTF-8");
+				connection.setDoOutput(true);
+				connection.setRequestProperty("Content-Type", "application/x-www-form-urlencoded");
+				connection.setFixedLengthStreamingMode(bytes.length);
+				OutputStream out = connection.getOutputStream();
+				out.write(bytes);
+				out.close();
+			}
+
+			int status = connection.getResponseCode();
+			InputStream in = status >= 400 ? connection.getErrorStream() : connection.getInputStream();
+
+			JSONObject response = new JSONObject();
+			response.put("status", status);
+			response.put("body", in == null ? "" : read(in));
+			return new PluginResult(PluginResult.Status.OK, response);
+		} catch (IOException e) {
+			return new PluginResult(PluginResult.Status.IO_EXCEPTION, e.getMessage());
+		} finally {
+			if (connection != null) {
+				connection.disconnect();
+			}
+		}
+	}
+
+	private String read(InputStream in) throws IOException {
+		BufferedReader reader = new BufferedReader(new InputStreamReader(in, "UTF-8"));
+		StringBuilder body = new StringBuilder();
+		char[] buffer = new char[4096];
+		int count;
+		try {
+			while ((count = reader.read(buffer)) != -1) {
+				body.append(buffer, 0, count);
+			}
+		} finally {
+			reader.close();
+		}
+		return body.toString();
+	}
+}